@@ -0,0 +1,200 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { OTHERS, bigintReplacer } from './stats.js'
+import { decodeVote, parseErdAddress } from '../src/lib/decode.js'
+import { parseEgld } from '../src/lib/format.js'
+
+// Whale alerts: new vote events are matched against configured rules and every matching vote is
+// POSTed as JSON to each webhook, retried with exponential backoff. Deliveries are kept in a log.
+//
+// Config file (see config/alerts.example.json):
+//   { "webhooks": ["https://…"], "maxAgeMinutes": 60, "rules": [
+//       { "type": "power", "minEgld": "100000" },
+//       { "type": "address", "addresses": ["erd1…"] },
+//       { "type": "delegation", "contracts": ["erd1…"] },   // omit contracts for any delegation contract
+//       { "type": "flip" } ] }
+// Rules may carry a `name`; it defaults to the type. Payloads use the vote id as their `id`, so
+// receivers can drop duplicates.
+
+export const RULE_TYPES = ['power', 'address', 'delegation', 'flip']
+
+const DEFAULT_MAX_AGE_MINUTES = 60
+const DELIVERY_LOG_SIZE = 200
+
+const parseAddresses = (list, where) =>
+  (list ?? []).map((a) => {
+    const parsed = parseErdAddress(a)
+    if (parsed.error) throw new Error(`${where}: invalid address ${a} (${parsed.error})`)
+    return parsed.address
+  })
+
+// Validates the config and normalizes rules to { name, type, minPower?, addresses? }
+export function parseAlertConfig(config) {
+  const webhooks = config?.webhooks ?? []
+  if (!Array.isArray(webhooks) || webhooks.some((u) => typeof u !== 'string' || !/^https?:\/\//.test(u))) {
+    throw new Error('webhooks must be a list of http(s) URLs')
+  }
+  const rules = (config?.rules ?? []).map((rule, i) => {
+    const where = `rules[${i}]`
+    if (!RULE_TYPES.includes(rule?.type)) throw new Error(`${where}: type must be one of ${RULE_TYPES.join(', ')}`)
+    const name = rule.name ?? rule.type
+    if (rule.type === 'power') {
+      const minPower = parseEgld(rule.minEgld)
+      if (minPower == null) throw new Error(`${where}: minEgld must be an EGLD amount`)
+      return { name, type: rule.type, minPower }
+    }
+    if (rule.type === 'address') return { name, type: rule.type, addresses: new Set(parseAddresses(rule.addresses, where)) }
+    if (rule.type === 'delegation') {
+      return { name, type: rule.type, addresses: rule.contracts ? new Set(parseAddresses(rule.contracts, where)) : null }
+    }
+    return { name, type: rule.type }
+  })
+  const maxAgeMinutes = config?.maxAgeMinutes ?? DEFAULT_MAX_AGE_MINUTES
+  if (typeof maxAgeMinutes !== 'number' || !Number.isFinite(maxAgeMinutes) || maxAgeMinutes <= 0) {
+    throw new Error('maxAgeMinutes must be a positive number of minutes')
+  }
+  return { webhooks, rules, maxAgeSeconds: maxAgeMinutes * 60 }
+}
+
+// A missing file disables alerts; an invalid one is a startup error
+export function loadAlertConfig(filePath) {
+  let text
+  try {
+    text = fs.readFileSync(filePath, 'utf8')
+  } catch (e) {
+    if (e.code === 'ENOENT') return null
+    throw e
+  }
+  try {
+    return parseAlertConfig(JSON.parse(text))
+  } catch (e) {
+    throw new Error(`Invalid alert config ${filePath}: ${e.message}`)
+  }
+}
+
+// Names of the rules a vote matches. `previousOption` is the option this voter last picked on the
+// proposal through the same source (undefined for a first vote).
+export function matchRules(vote, rules, previousOption) {
+  return rules
+    .filter((rule) => {
+      if (rule.type === 'power') return vote.power >= rule.minPower
+      if (rule.type === 'address') return rule.addresses.has(vote.voter)
+      if (rule.type === 'delegation') return vote.kind === 'delegated' && (!rule.addresses || rule.addresses.has(vote.source))
+      return previousOption != null && previousOption !== vote.option
+    })
+    .map((rule) => rule.name)
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+const voteKey = (v) => `${v.proposal}|${v.voter}|${v.source ?? 'direct'}`
+
+// `registry` returns the delegation registry entries (for source labels); `now` returns unix seconds.
+export function createAlerter({
+  config,
+  registry = () => ({}),
+  logPath = null,
+  retries = 5,
+  baseDelayMs = 1000,
+  timeoutMs = 10_000,
+  now = () => Date.now() / 1000,
+}) {
+  const previous = new Map()
+  const deliveries = []
+  let nextId = 1
+
+  function record(entry) {
+    deliveries.unshift(entry)
+    deliveries.length = Math.min(deliveries.length, DELIVERY_LOG_SIZE)
+    if (logPath) {
+      fs.promises
+        .mkdir(path.dirname(logPath), { recursive: true })
+        .then(() => fs.promises.appendFile(logPath, JSON.stringify(entry) + '\n'))
+        .catch((e) => {
+          // eslint-disable-next-line no-console
+          console.error('[cache-api] could not write alert log:', e.message)
+        })
+    }
+  }
+
+  // Network errors, 429 and 5xx are retried; other statuses are final
+  async function deliver(url, payload) {
+    const body = JSON.stringify(payload, bigintReplacer)
+    let attempts = 0
+    let status = null
+    let error = null
+    while (attempts <= retries) {
+      if (attempts) await sleep(baseDelayMs * 2 ** (attempts - 1))
+      attempts += 1
+      try {
+        const res = await fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body,
+          signal: AbortSignal.timeout(timeoutMs),
+        })
+        status = res.status
+        error = res.ok ? null : `HTTP ${res.status}`
+        if (res.ok || (res.status < 500 && res.status !== 429)) break
+      } catch (e) {
+        status = null
+        error = e.message
+      }
+    }
+    record({
+      id: nextId++,
+      webhook: new URL(url).host,
+      vote: payload.vote.id,
+      rules: payload.rules,
+      delivered: !error,
+      status,
+      error,
+      attempts,
+      at: new Date().toISOString(),
+    })
+  }
+
+  // Tracks every vote (for option flips) and alerts on the recent ones. Old votes (history
+  // backfilled on a first sync or after downtime) only update the state. Resolves when all
+  // deliveries finished.
+  function handle(events) {
+    const pending = []
+    for (const hit of events) {
+      const vote = decodeVote(hit)
+      if (!vote) continue
+      const key = voteKey(vote)
+      const previousOption = previous.get(key)
+      previous.set(key, vote.option)
+      if (!config.rules.length || now() - vote.timestamp > config.maxAgeSeconds) continue
+      const rules = matchRules(vote, config.rules, previousOption)
+      if (!rules.length) continue
+      const payload = {
+        id: vote.id,
+        type: 'governance.vote',
+        rules,
+        previousOption: previousOption ?? null,
+        vote: { ...vote, sourceLabel: vote.source ? registry()[vote.source]?.name ?? OTHERS : null },
+      }
+      for (const url of config.webhooks) pending.push(deliver(url, payload))
+    }
+    return Promise.all(pending)
+  }
+
+  return {
+    handle,
+    // Loads the votes already stored so flips against them are detected, without alerting
+    seed(events) {
+      for (const hit of events) {
+        const vote = decodeVote(hit)
+        if (vote) previous.set(voteKey(vote), vote.option)
+      }
+    },
+    deliveries: () => deliveries,
+    // JSON-friendly view of the active rules; webhook URLs may embed tokens, so only hosts are shown
+    describe: () => ({
+      webhooks: config.webhooks.map((u) => new URL(u).host),
+      maxAgeSeconds: config.maxAgeSeconds,
+      rules: config.rules.map(({ addresses, ...rule }) => ({ ...rule, ...(addresses ? { addresses: [...addresses] } : {}) })),
+    }),
+  }
+}
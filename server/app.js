@@ -0,0 +1,399 @@
+// The API server's routes over an event store, a delegation registry and proposal metadata. The
+// entry point (index.js) wires these to Elasticsearch or a dump and listens; tests pass their own.
+import http from 'node:http'
+import { Readable } from 'node:stream'
+import { pipeline } from 'node:stream/promises'
+import { URL } from 'node:url'
+import {
+  BUCKETS,
+  OPTIONS,
+  VIEWS,
+  aggregateProposal,
+  autoBucket,
+  bigintReplacer,
+  cohortAnalysis,
+  compareProposals,
+  delegationBySource,
+  discoverDelegationSources,
+  eventsAsOf,
+  indexVotesByVoter,
+  latestVotes,
+  listProposals,
+  listVoteChanges,
+  proposalConcentration,
+  proposalTimeline,
+  stakePowerAnalysis,
+} from './stats.js'
+import { parseErdAddress } from '../src/lib/decode.js'
+import { DEFAULT_GOVERNANCE_PARAMS, parsePctBps } from '../src/lib/outcome.js'
+import { EXPORT_FORMATS, VOTER_COLUMNS, csvLine, voterRow } from '../src/lib/export.js'
+
+const MAX_PAGE_SIZE = 10_000
+const LIVE_FEED_SIZE = 20
+const HEARTBEAT_MS = 25_000
+const DEFAULT_VOTERS_LIMIT = 50
+// Snapshot requests (?at=) can use any timestamp, so the number of cached aggregates is capped
+const MEMO_SIZE = 200
+
+function send(res, status, headers, body = '') {
+  res.writeHead(status, headers)
+  res.end(body)
+}
+
+function sendJson(res, status, data) {
+  send(res, status, { 'Content-Type': 'application/json' }, JSON.stringify(data, bigintReplacer))
+}
+
+function setCors(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
+}
+
+function intParam(url, name, fallback) {
+  const raw = url.searchParams.get(name)
+  if (raw == null || raw === '') return fallback
+  const v = Number(raw)
+  return Number.isInteger(v) && v >= 0 ? v : fallback
+}
+
+// null for malformed percent-escapes, which make decodeURIComponent throw
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment)
+  } catch {
+    return null
+  }
+}
+
+// Rows are generated lazily and piped with backpressure, so a full export is never built as one string
+function* voterExportChunks(stats, options, format) {
+  let first = true
+  if (format === 'csv') yield csvLine(VOTER_COLUMNS)
+  else yield '['
+  for (const option of options) {
+    for (const v of stats.voters[option]) {
+      const row = voterRow(stats.proposal, option, v)
+      if (format === 'csv') yield csvLine(VOTER_COLUMNS.map((c) => row[c]))
+      else yield `${first ? '' : ','}\n${JSON.stringify(row)}`
+      first = false
+    }
+  }
+  if (format === 'json') yield '\n]\n'
+}
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data, bigintReplacer)}\n\n`)
+}
+
+// `alertsConfigFile` and `dump` are only reported by /api/alerts and /api/status; `pollIntervalMs`
+// is announced to live clients. Returns the (not yet listening) http server and `poll`, which syncs
+// and tells live clients about it.
+export function createApiServer({ store, registry, metadata, alerter = null, disk = null, dump = null, alertsConfigFile = null, pollIntervalMs = 0 }) {
+  // Syncs the store when it is older than its sync interval. A failed sync still serves what is
+  // stored; only when nothing was ever synced is the request answered with 502 (returns false).
+  async function refresh(res) {
+    try {
+      await store.syncIfStale()
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('[cache-api] sync failed:', e.message)
+      if (!store.lastSyncAt()) {
+        sendJson(res, 502, { error: `Upstream sync failed: ${e.message}` })
+        return false
+      }
+    }
+    return true
+  }
+
+  const syncMeta = () => ({ syncedAt: store.lastSyncAt(), stale: !!store.lastError() })
+
+  // --- Live updates (Server-Sent Events) ---
+  const liveClients = new Set()
+
+  function broadcast(event, data) {
+    for (const res of liveClients) sendEvent(res, event, data)
+  }
+
+  // New events are pushed as decoded votes, newest first; clients refetch the aggregates they show
+  store.subscribe((fresh) => {
+    const votes = latestVotes(fresh, fresh.length, registry.entries())
+    if (votes.length) broadcast('votes', { votes, ...syncMeta() })
+  })
+
+  if (alerter) {
+    store.subscribe((fresh) => {
+      alerter.handle(fresh).catch((e) => {
+        // eslint-disable-next-line no-console
+        console.error('[cache-api] alert delivery failed:', e.message)
+      })
+    })
+  }
+
+  async function poll() {
+    try {
+      await store.sync()
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('[cache-api] sync failed:', e.message)
+    }
+    broadcast('sync', syncMeta())
+  }
+
+  // Aggregates are recomputed only when the store has grown or the registry changed since they were last computed
+  const memo = new Map()
+  let memoVersion = ''
+  function memoized(key, compute) {
+    const version = `${store.size()}:${registry.version()}`
+    if (memoVersion !== version) {
+      memo.clear()
+      memoVersion = version
+    }
+    if (!memo.has(key)) {
+      memo.set(key, compute())
+      if (memo.size > MEMO_SIZE) memo.delete(memo.keys().next().value)
+    }
+    return memo.get(key)
+  }
+
+  const proposals = () => memoized('proposals', () => listProposals(store.events()))
+  // `at` is a unix timestamp for a historical snapshot, or null for the latest state
+  const eventsAt = (at) => eventsAsOf(store.events(), at)
+  const proposalStats = (id, view, at) =>
+    memoized(`proposal:${id}:${view}:${at}`, () => aggregateProposal(eventsAt(at), id, { view, registry: registry.entries() }))
+  const delegationStats = (id, view, at) =>
+    memoized(`delegation:${id}:${view}:${at}`, () => delegationBySource(eventsAt(at), id, { view, registry: registry.entries() }))
+  const votesByVoter = () => memoized('voters', () => indexVotesByVoter(store.events(), registry.entries()))
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      setCors(res)
+
+      // Handle CORS preflight
+      if (req.method === 'OPTIONS') return send(res, 204, {})
+
+      const url = new URL(req.url, `http://${req.headers.host}`)
+
+      // Public API for scripts that mirror the raw stored hits; the dashboard reads the aggregates below
+      if (req.method === 'GET' && url.pathname === '/api/events') {
+        const offset = intParam(url, 'offset', 0)
+        const limit = Math.min(intParam(url, 'limit', MAX_PAGE_SIZE), MAX_PAGE_SIZE)
+
+        // Only the first page triggers a sync, so later pages read from the same append-only snapshot
+        if (offset === 0 && !(await refresh(res))) return
+
+        const events = store.events()
+        return sendJson(res, 200, {
+          total: events.length,
+          offset,
+          events: events.slice(offset, offset + limit),
+          ...syncMeta(),
+        })
+      }
+
+      if (req.method === 'GET' && url.pathname === '/api/proposals') {
+        if (!(await refresh(res))) return
+        return sendJson(res, 200, { proposals: proposals(), ...syncMeta() })
+      }
+
+      if (req.method === 'GET' && url.pathname === '/api/metadata') {
+        if (!(await refresh(res))) return
+        const meta = await metadata.get(proposals().map((p) => p.id))
+        return sendJson(res, 200, { ...meta, ...syncMeta() })
+      }
+
+      if (req.method === 'GET' && url.pathname === '/api/compare') {
+        if (!(await refresh(res))) return
+        const ids = [...new Set((url.searchParams.get('proposals') ?? '').split(',').filter(Boolean))]
+        if (ids.length < 2) return sendJson(res, 400, { error: 'Pick at least two proposals (?proposals=1,2)' })
+        const unknown = ids.find((id) => !proposals().some((p) => p.id === id))
+        if (unknown) return sendJson(res, 404, { error: `Unknown proposal ${unknown}` })
+        const view = url.searchParams.get('view') || 'effective'
+        if (!VIEWS.includes(view)) return sendJson(res, 400, { error: `Unknown view ${view}` })
+        const comparison = memoized(`compare:${ids.join(',')}:${view}`, () => compareProposals(store.events(), ids, { view }))
+        return sendJson(res, 200, { ...comparison, ...syncMeta() })
+      }
+
+      if (req.method === 'GET' && url.pathname === '/api/cohorts') {
+        const view = url.searchParams.get('view') || 'effective'
+        if (!VIEWS.includes(view)) return sendJson(res, 400, { error: `Unknown view ${view}` })
+        const passThresholdBps = parsePctBps(url.searchParams.get('passThresholdPct') || DEFAULT_GOVERNANCE_PARAMS.passThresholdPct)
+        if (passThresholdBps == null) return sendJson(res, 400, { error: 'passThresholdPct must be a percentage from 0 to 100' })
+        const vetoThresholdBps = parsePctBps(url.searchParams.get('vetoThresholdPct') || DEFAULT_GOVERNANCE_PARAMS.vetoThresholdPct)
+        if (vetoThresholdBps == null) return sendJson(res, 400, { error: 'vetoThresholdPct must be a percentage from 0 to 100' })
+        if (!(await refresh(res))) return
+        const cohorts = memoized(`cohorts:${view}:${passThresholdBps}:${vetoThresholdBps}`, () =>
+          cohortAnalysis(store.events(), { view, passThresholdBps, vetoThresholdBps }),
+        )
+        return sendJson(res, 200, { ...cohorts, passThresholdBps, vetoThresholdBps, ...syncMeta() })
+      }
+
+      const proposalRoute = url.pathname.match(/^\/api\/proposals\/(\d+)\/(summary|voters|timeline|changes|export|concentration|delegation|delegators|stake)$/)
+      if (req.method === 'GET' && proposalRoute) {
+        if (!(await refresh(res))) return
+        const [, id, resource] = proposalRoute
+        const proposal = proposals().find((p) => p.id === id)
+        if (!proposal) return sendJson(res, 404, { error: `Unknown proposal ${id}` })
+        const view = url.searchParams.get('view') || 'effective'
+        if (!VIEWS.includes(view)) return sendJson(res, 400, { error: `Unknown view ${view}` })
+        const at = url.searchParams.get('at') ? Number(url.searchParams.get('at')) : null
+        if (at != null && !Number.isInteger(at)) return sendJson(res, 400, { error: 'at must be a unix timestamp in seconds' })
+
+        if (resource === 'changes') {
+          const changes = memoized(`changes:${id}:${at}`, () => listVoteChanges(eventsAt(at), id, registry.entries()))
+          return sendJson(res, 200, { proposal: id, at, changes, ...syncMeta() })
+        }
+
+        if (resource === 'timeline') {
+          const bucket = url.searchParams.get('bucket') || autoBucket(proposal.firstVote, proposal.lastVote)
+          if (!BUCKETS[bucket]) return sendJson(res, 400, { error: `Unknown bucket ${bucket}` })
+          const buckets = memoized(`timeline:${id}:${bucket}:${view}:${at}`, () =>
+            proposalTimeline(eventsAt(at), id, BUCKETS[bucket], { view }),
+          )
+          return sendJson(res, 200, { proposal: id, view, at, bucket, bucketSeconds: BUCKETS[bucket], buckets, ...syncMeta() })
+        }
+
+        if (resource === 'concentration') {
+          const concentration = memoized(`concentration:${id}:${view}:${at}`, () => proposalConcentration(eventsAt(at), id, { view }))
+          return sendJson(res, 200, { ...concentration, at, ...syncMeta() })
+        }
+
+        if (resource === 'stake') {
+          const analysis = memoized(`stake:${id}:${view}:${at}`, () => stakePowerAnalysis(eventsAt(at), id, { view }))
+          return sendJson(res, 200, { ...analysis, at, ...syncMeta() })
+        }
+
+        if (resource === 'delegation') {
+          const sources = delegationStats(id, view, at).map(({ delegators, ...source }) => ({ ...source, delegators: delegators.length }))
+          return sendJson(res, 200, { proposal: id, view, at, sources, ...syncMeta() })
+        }
+
+        if (resource === 'delegators') {
+          const name = url.searchParams.get('source')
+          if (!name) return sendJson(res, 400, { error: 'source is required (?source=<label>)' })
+          const source = delegationStats(id, view, at).find((s) => s.name === name)
+          if (!source) return sendJson(res, 404, { error: `No delegated votes through ${name} on proposal ${id}` })
+          const limit = intParam(url, 'limit', DEFAULT_VOTERS_LIMIT)
+          const offset = intParam(url, 'offset', 0)
+          return sendJson(res, 200, {
+            proposal: id,
+            view,
+            at,
+            source: name,
+            contracts: source.contracts,
+            total: source.delegators.length,
+            offset,
+            delegators: source.delegators.slice(offset, offset + limit),
+            ...syncMeta(),
+          })
+        }
+
+        const stats = proposalStats(id, view, at)
+
+        if (resource === 'summary') {
+          const { voters, ...summary } = stats
+          return sendJson(res, 200, { ...summary, at, ...syncMeta() })
+        }
+
+        if (resource === 'export') {
+          const format = url.searchParams.get('format') || 'csv'
+          if (!EXPORT_FORMATS.includes(format)) return sendJson(res, 400, { error: `Unknown format ${format}` })
+          // Without ?option= every option is exported, each sorted by power
+          const option = url.searchParams.get('option')
+          if (option && !OPTIONS.includes(option)) return sendJson(res, 400, { error: `Unknown option ${option}` })
+          const filename = `proposal-${id}-${option || 'all'}-voters-${view}${at != null ? `-at-${at}` : ''}.${format}`
+          res.writeHead(200, {
+            'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json',
+            'Content-Disposition': `attachment; filename="${filename}"`,
+          })
+          return await pipeline(Readable.from(voterExportChunks(stats, option ? [option] : OPTIONS, format)), res)
+        }
+
+        const option = url.searchParams.get('option') || 'yes'
+        if (!OPTIONS.includes(option)) return sendJson(res, 400, { error: `Unknown option ${option}` })
+        const limit = intParam(url, 'limit', DEFAULT_VOTERS_LIMIT)
+        const offset = intParam(url, 'offset', 0)
+        return sendJson(res, 200, {
+          proposal: id,
+          view,
+          at,
+          option,
+          total: stats.voters[option].length,
+          offset,
+          voters: stats.voters[option].slice(offset, offset + limit),
+          ...syncMeta(),
+        })
+      }
+
+      if (req.method === 'GET' && url.pathname === '/api/live') {
+        if (!(await refresh(res))) return
+        res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' })
+        sendEvent(res, 'hello', { votes: latestVotes(store.events(), LIVE_FEED_SIZE, registry.entries()), pollIntervalMs, ...syncMeta() })
+        liveClients.add(res)
+        // Comment lines keep proxies from closing an idle stream
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS)
+        req.on('close', () => {
+          clearInterval(heartbeat)
+          liveClients.delete(res)
+        })
+        return
+      }
+
+      if (req.method === 'GET' && url.pathname === '/api/alerts') {
+        if (!alerter) return sendJson(res, 200, { enabled: false, configFile: alertsConfigFile, deliveries: [] })
+        return sendJson(res, 200, { enabled: true, configFile: alertsConfigFile, ...alerter.describe(), deliveries: alerter.deliveries() })
+      }
+
+      if (req.method === 'GET' && url.pathname === '/api/status') {
+        const latest = store.latestTimestamp()
+        const syncedAt = store.lastSyncAt()
+        return sendJson(res, 200, {
+          events: store.size(),
+          liveClients: liveClients.size,
+          latestTimestamp: latest,
+          latestEventAgeMs: latest != null ? Date.now() - latest * 1000 : null,
+          lastSyncAt: syncedAt || null,
+          syncAgeMs: syncedAt ? Date.now() - syncedAt : null,
+          lastError: store.lastError()?.message ?? null,
+          dataDir: disk?.dataDir ?? null,
+          fileBytes: disk ? await disk.fileSize() : null,
+          dump,
+        })
+      }
+
+      if (req.method === 'GET' && url.pathname === '/api/delegations') {
+        if (!(await refresh(res))) return
+        return sendJson(res, 200, {
+          registry: registry.entries(),
+          registryFile: registry.filePath,
+          sources: memoized('delegations', () => discoverDelegationSources(store.events(), registry.entries())),
+          ...syncMeta(),
+        })
+      }
+
+      const addressRoute = url.pathname.match(/^\/api\/addresses\/([^/]+)\/votes$/)
+      if (req.method === 'GET' && addressRoute) {
+        const raw = decodePathSegment(addressRoute[1])
+        if (raw == null) return sendJson(res, 400, { error: 'Malformed address in the URL' })
+        const parsed = parseErdAddress(raw)
+        if (parsed.error) return sendJson(res, 400, { error: parsed.error })
+        if (!(await refresh(res))) return
+        return sendJson(res, 200, {
+          address: parsed.address,
+          hex: parsed.hex,
+          votes: votesByVoter().get(parsed.address) ?? [],
+          ...syncMeta(),
+        })
+      }
+
+      // Fallback route
+      send(res, 404, { 'Content-Type': 'text/plain' }, 'Not Found')
+    } catch (e) {
+      // A stream that fails after its headers were sent (e.g. the client went away) can only be dropped
+      if (res.headersSent) return res.destroy()
+      send(res, 500, { 'Content-Type': 'text/plain' }, 'Internal Server Error')
+    }
+  })
+
+  return { server, poll }
+}
@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+// Headless governance stats for scripts and CI. Uses the same decoding and aggregation as the
+// API server, reading events either from Elasticsearch or from a local NDJSON dump of ES hits.
+import fs from 'node:fs/promises'
+import { realpathSync } from 'node:fs'
+import { fileURLToPath } from 'node:url'
+import { parseArgs } from 'node:util'
+import { createEventStore, searchEs } from './store.js'
+import { createDumpSearch, loadDump } from './offline.js'
+import { buildProposalQuery } from './metadata.js'
+import { createRegistry } from './registry.js'
+import { DELEGATION_REGISTRY, ES_URL, GOVERNANCE_SC } from './config.js'
+import { OPTIONS, VIEWS, aggregateProposal, bigintReplacer, indexVotesByVoter, listProposals } from './stats.js'
+import { parseErdAddress } from '../src/lib/decode.js'
+import { VOTER_COLUMNS, toCsv, voterRow } from '../src/lib/export.js'
+import { formatBps, formatEgld, toEgldString } from '../src/lib/format.js'
+import { ratioBps } from '../src/lib/outcome.js'
+
+const USAGE = `Usage: governance-stats <command> [options]
+
+Commands:
+  proposals                 every proposal with its vote count and voting window
+  summary                   per-option votes and power, plus the delegation breakdown
+  voters                    voters sorted by power (every option unless --option is given)
+  address <erd1…>           every vote cast by an address
+  capture                   record the governance vote and proposal events as an NDJSON dump (for --dump and ES_DUMP)
+
+Options:
+  --proposal <id>           proposal for summary/voters (default: the most recent one)
+  --option <option>         ${OPTIONS.join(', ')}
+  --limit <n>               voters per option (default: all)
+  --view <view>             effective (latest vote per voter and source, default) or raw
+  --format <format>         table (default), json or csv
+  --dump <file>             read ES hits from an NDJSON file instead of Elasticsearch
+  --out <file>              where capture writes the dump (default: stdout)
+  --es <url>                Elasticsearch _search URL (default: $ES_URL or ${ES_URL})
+  --registry <file>         delegation registry (default: $DELEGATION_REGISTRY or ${DELEGATION_REGISTRY})
+  -h, --help                show this help
+`
+
+const FORMATS = ['table', 'json', 'csv']
+
+// Invalid invocations: reported together with the usage text
+class UsageError extends Error {}
+
+function parseCli(argv) {
+  let parsed
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        proposal: { type: 'string' },
+        option: { type: 'string' },
+        limit: { type: 'string' },
+        view: { type: 'string', default: 'effective' },
+        format: { type: 'string', default: 'table' },
+        dump: { type: 'string' },
+        out: { type: 'string' },
+        es: { type: 'string', default: ES_URL },
+        registry: { type: 'string', default: DELEGATION_REGISTRY },
+        help: { type: 'boolean', short: 'h' },
+      },
+    })
+  } catch (e) {
+    throw new UsageError(e.message)
+  }
+  const { values, positionals } = parsed
+  if (!FORMATS.includes(values.format)) throw new UsageError(`Unknown format ${values.format}`)
+  if (!VIEWS.includes(values.view)) throw new UsageError(`Unknown view ${values.view}`)
+  if (values.option && !OPTIONS.includes(values.option)) throw new UsageError(`Unknown option ${values.option}`)
+  if (values.limit != null && !/^\d+$/.test(values.limit)) throw new UsageError(`--limit must be a non-negative integer`)
+  return { ...values, limit: values.limit != null ? Number(values.limit) : null, command: positionals[0], args: positionals.slice(1) }
+}
+
+const searchFor = async ({ dump, es }) => (dump ? createDumpSearch(await loadDump(dump)) : (body) => searchEs(es, body))
+
+// A dump goes through the same sync queries as Elasticsearch, so it is filtered and ordered identically
+async function loadEvents(search) {
+  const store = createEventStore({ governanceSc: GOVERNANCE_SC, syncIntervalMs: 0, search })
+  await store.sync()
+  return store.events()
+}
+
+// One `{ _id, _source }` hit per line, the format read back by --dump and the API server's ES_DUMP.
+// Proposal creation events are included so offline mode still knows each proposal's metadata.
+async function capture(opts, { stdout, stderr }) {
+  const search = await searchFor(opts)
+  const created = (await search(buildProposalQuery(GOVERNANCE_SC)))?.hits?.hits ?? []
+  const events = [...(await loadEvents(search)), ...created.map(({ _id, _source }) => ({ _id, _source }))]
+  const ndjson = events.map((e) => JSON.stringify(e) + '\n').join('')
+  if (!opts.out) return stdout.write(ndjson)
+  await fs.writeFile(opts.out, ndjson)
+  stderr.write(`captured ${events.length} events to ${opts.out}\n`)
+}
+
+// --- Output ---
+const renderTable = (columns, rows) => {
+  const cells = [columns, ...rows.map((r) => columns.map((c) => String(r[c] ?? '')))]
+  const widths = columns.map((_, i) => Math.max(...cells.map((row) => row[i].length)))
+  const line = (row) => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd()
+  return [line(cells[0]), line(widths.map((w) => '-'.repeat(w))), ...cells.slice(1).map(line)].join('\n') + '\n'
+}
+
+// Each command yields one or more sections: { title?, columns (csv), tableColumns, rows } plus the JSON payload
+function render(format, { sections, json }) {
+  if (format === 'json') return JSON.stringify(json, bigintReplacer, 2) + '\n'
+  if (format === 'csv') return toCsv(sections[0].columns, sections[0].rows)
+  return sections
+    .map((s) => (s.title ? `${s.title}\n\n` : '') + (s.rows.length ? renderTable(s.tableColumns, s.rows) : '(none)\n'))
+    .join('\n')
+}
+
+
+// --- Commands ---
+function resolveProposal(events, requested) {
+  const proposals = listProposals(events)
+  if (!proposals.length) throw new Error('No proposals found')
+  if (requested == null) return proposals[0].id
+  if (!proposals.some((p) => p.id === requested)) throw new Error(`Unknown proposal ${requested}`)
+  return requested
+}
+
+const COMMANDS = {
+  proposals(events) {
+    const proposals = listProposals(events)
+    const rows = proposals.map((p) => ({
+      ...p,
+      firstVoteAt: new Date(p.firstVote * 1000).toISOString(),
+      lastVoteAt: new Date(p.lastVote * 1000).toISOString(),
+    }))
+    return {
+      json: proposals,
+      sections: [{ columns: ['id', 'votes', 'firstVote', 'lastVote'], tableColumns: ['id', 'votes', 'firstVoteAt', 'lastVoteAt'], rows }],
+    }
+  },
+
+  summary(events, opts, registry) {
+    const id = resolveProposal(events, opts.proposal)
+    const { voters, ...summary } = aggregateProposal(events, id, { view: opts.view, registry })
+    const options = OPTIONS.map((o) => {
+      const { count, power } = summary.byOption[o]
+      return { option: o, votes: count, power: power.toString(), powerEgld: toEgldString(power), share: formatBps(ratioBps(power, summary.totalPower)) }
+    })
+    const delegation = summary.delegation.map((d) => ({
+      source: d.name,
+      votes: d.count,
+      power: d.power.toString(),
+      powerEgld: toEgldString(d.power),
+      share: formatBps(ratioBps(d.power, summary.totalPower)),
+    }))
+    return {
+      json: summary,
+      sections: [
+        {
+          title: `Proposal #${id} (${opts.view}): ${summary.totalVotes} votes, ${formatEgld(summary.totalPower)}`,
+          columns: ['option', 'votes', 'power', 'powerEgld'],
+          tableColumns: ['option', 'votes', 'powerEgld', 'share'],
+          rows: options,
+        },
+        { title: 'Delegated votes by source', columns: ['source', 'votes', 'power', 'powerEgld'], tableColumns: ['source', 'votes', 'powerEgld', 'share'], rows: delegation },
+      ],
+    }
+  },
+
+  voters(events, opts, registry) {
+    const id = resolveProposal(events, opts.proposal)
+    const { voters } = aggregateProposal(events, id, { view: opts.view, registry })
+    const rows = (opts.option ? [opts.option] : OPTIONS).flatMap((o) =>
+      voters[o].slice(0, opts.limit ?? undefined).map((v) => voterRow(id, o, v)),
+    )
+    return {
+      json: rows,
+      sections: [{ columns: VOTER_COLUMNS, tableColumns: ['option', 'address', 'votes', 'stakeEgld', 'powerEgld'], rows }],
+    }
+  },
+
+  address(events, opts, registry) {
+    const parsed = parseErdAddress(opts.args[0] ?? '')
+    if (parsed.error) throw new Error(`Invalid address: ${parsed.error}`)
+    const votes = (indexVotesByVoter(events, registry).get(parsed.address) ?? []).filter((v) => opts.view === 'raw' || !v.superseded)
+    const rows = votes.map((v) => ({
+      proposal: v.proposal,
+      option: v.option,
+      cast: v.source ? `via ${v.sourceLabel}` : 'direct',
+      source: v.source ?? '',
+      stake: v.stake.toString(),
+      stakeEgld: toEgldString(v.stake),
+      power: v.power.toString(),
+      powerEgld: toEgldString(v.power),
+      time: v.timestamp ? new Date(v.timestamp * 1000).toISOString() : '',
+      txHash: v.txHash ?? '',
+      superseded: v.superseded,
+    }))
+    return {
+      json: { address: parsed.address, hex: parsed.hex, votes },
+      sections: [
+        {
+          columns: ['proposal', 'option', 'cast', 'source', 'stake', 'stakeEgld', 'power', 'powerEgld', 'time', 'txHash', 'superseded'],
+          tableColumns: ['proposal', 'option', 'cast', 'powerEgld', 'time', ...(opts.view === 'raw' ? ['superseded'] : [])],
+          rows,
+        },
+      ],
+    }
+  },
+}
+
+// Returns the process exit code: 0 on success, 1 on errors, 2 on invalid usage
+export async function run(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  try {
+    const opts = parseCli(argv)
+    if (opts.help) {
+      stdout.write(USAGE)
+      return 0
+    }
+    if (opts.command === 'capture') {
+      await capture(opts, { stdout, stderr })
+      return 0
+    }
+    // Own keys only, so `toString` and friends are unknown commands rather than Object methods
+    const command = Object.hasOwn(COMMANDS, opts.command) ? COMMANDS[opts.command] : null
+    if (!command) throw new UsageError(opts.command ? `Unknown command ${opts.command}` : 'Missing command')
+    const registry = createRegistry(opts.registry).entries()
+    const events = await loadEvents(await searchFor(opts))
+    stdout.write(render(opts.format, command(events, opts, registry)))
+    return 0
+  } catch (e) {
+    if (e instanceof UsageError) {
+      stderr.write(`governance-stats: ${e.message}\n\n${USAGE}`)
+      return 2
+    }
+    stderr.write(`governance-stats: ${e.message}\n`)
+    return 1
+  }
+}
+
+// Run only when executed directly (also through the npm bin symlink), not when imported by tests
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  process.exitCode = await run(process.argv.slice(2))
+}
@@ -0,0 +1,12 @@
+// Environment configuration shared by the API server and the CLI
+export const ES_URL = process.env.ES_URL || 'https://index.multiversx.com/events/_search'
+export const GOVERNANCE_SC = process.env.GOVERNANCE_SC || 'erd1qqqqqqqqqqqqqqqpqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqrlllsrujgla'
+export const DATA_DIR = process.env.DATA_DIR || 'data'
+export const DELEGATION_REGISTRY = process.env.DELEGATION_REGISTRY || 'config/delegation-registry.json'
+// Whale-alert rules and webhooks (server/alerts.js); alerts are off while the file does not exist
+export const ALERTS_CONFIG = process.env.ALERTS_CONFIG || 'config/alerts.json'
+// NDJSON dump of ES hits to serve from instead of Elasticsearch (offline mode)
+export const ES_DUMP = process.env.ES_DUMP || null
+// MultiversX gateway for proposal metadata view queries (server/metadata.js); empty disables them.
+// Offline mode makes no network calls unless a gateway is set explicitly.
+export const GATEWAY_URL = process.env.GATEWAY_URL ?? (ES_DUMP ? '' : 'https://gateway.multiversx.com')
@@ -1,73 +1,56 @@
-import http from 'node:http'
-import { URL } from 'node:url'
+// API server entry point: wires the event store to Elasticsearch (or a dump), the disk copy, the
+// delegation registry and alerts, then listens on PORT. The routes live in app.js.
+import path from 'node:path'
+import { createEventStore, searchEs } from './store.js'
+import { createDiskStore } from './persistence.js'
+import { createRegistry } from './registry.js'
+import { createDumpSearch, loadDump } from './offline.js'
+import { createAlerter, loadAlertConfig } from './alerts.js'
+import { createProposalMetadata } from './metadata.js'
+import { createApiServer } from './app.js'
+import { ALERTS_CONFIG, DATA_DIR, DELEGATION_REGISTRY, ES_DUMP, ES_URL, GATEWAY_URL, GOVERNANCE_SC } from './config.js'
 
 const PORT = process.env.PORT ? Number(process.env.PORT) : 3000
-const ES_URL = process.env.ES_URL || 'https://index.multiversx.com/events/_search'
-const CACHE_TTL_MS = process.env.CACHE_TTL_MS ? Number(process.env.CACHE_TTL_MS) : 60_000
-
-const cache = new Map()
-
-function send(res, status, headers, body = '') {
-  res.writeHead(status, headers)
-  res.end(body)
-}
-
-function setCors(res) {
-  res.setHeader('Access-Control-Allow-Origin', '*')
-  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,OPTIONS')
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
-}
-
-const server = http.createServer(async (req, res) => {
-  try {
-    setCors(res)
-
-    // Handle CORS preflight
-    if (req.method === 'OPTIONS') return send(res, 204, {})
-
-    const url = new URL(req.url, `http://${req.headers.host}`)
-
-    if (req.method === 'POST' && url.pathname === '/api/events/_search') {
-      let raw = ''
-      for await (const chunk of req) raw += chunk
-      const key = ES_URL + '|' + raw
-      const now = Date.now()
-      const hit = cache.get(key)
-      if (hit && (now - hit.time) < CACHE_TTL_MS) {
-        return send(res, 200, {
-          'Content-Type': 'application/json',
-          'X-Cache': 'HIT',
-        }, hit.body)
-      }
-
-      const upstream = await fetch(ES_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: raw,
-      })
-      const text = await upstream.text()
-      if (!upstream.ok) {
-        return send(res, upstream.status, {
-          'Content-Type': 'application/json',
-          'X-Cache': 'MISS',
-        }, text)
-      }
-      cache.set(key, { time: now, body: text })
-      return send(res, 200, {
-        'Content-Type': 'application/json',
-        'X-Cache': 'MISS',
-      }, text)
-    }
-
-    // Fallback route
-    send(res, 404, { 'Content-Type': 'text/plain' }, 'Not Found')
-  } catch (e) {
-    send(res, 500, { 'Content-Type': 'text/plain' }, 'Internal Server Error')
-  }
+const SYNC_INTERVAL_MS = process.env.SYNC_INTERVAL_MS ? Number(process.env.SYNC_INTERVAL_MS) : 60_000
+// Background polling for live updates; 0 disables it (syncs then only happen on requests)
+const POLL_INTERVAL_MS = process.env.POLL_INTERVAL_MS ? Number(process.env.POLL_INTERVAL_MS) : 15_000
+
+// Offline mode answers the sync queries from a dump and keeps nothing on disk, so every start is identical
+const disk = ES_DUMP ? null : createDiskStore(DATA_DIR)
+const search = ES_DUMP ? createDumpSearch(await loadDump(ES_DUMP)) : (body) => searchEs(ES_URL, body)
+const store = createEventStore({
+  esUrl: ES_URL,
+  governanceSc: GOVERNANCE_SC,
+  syncIntervalMs: SYNC_INTERVAL_MS,
+  disk,
+  search,
 })
+const metadata = createProposalMetadata({ governanceSc: GOVERNANCE_SC, search, gatewayUrl: GATEWAY_URL })
+const registry = createRegistry(DELEGATION_REGISTRY)
+const alertConfig = loadAlertConfig(ALERTS_CONFIG)
+const alerter = alertConfig
+  ? createAlerter({ config: alertConfig, registry: registry.entries, logPath: disk ? path.join(DATA_DIR, 'alerts.jsonl') : null })
+  : null
+
+const { server, poll } = createApiServer({
+  store,
+  registry,
+  metadata,
+  alerter,
+  disk,
+  dump: ES_DUMP,
+  alertsConfigFile: ALERTS_CONFIG,
+  pollIntervalMs: POLL_INTERVAL_MS,
+})
+
+const loaded = await store.load()
+alerter?.seed(store.events())
+// eslint-disable-next-line no-console
+console.log(ES_DUMP ? `[cache-api] offline mode, serving ${ES_DUMP}` : `[cache-api] loaded ${loaded} events from ${disk.eventsPath}`)
 
 server.listen(PORT, () => {
   // eslint-disable-next-line no-console
   console.log(`[cache-api] listening on http://localhost:${PORT}`)
 })
 
+if (POLL_INTERVAL_MS > 0) setInterval(poll, POLL_INTERVAL_MS)
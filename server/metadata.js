@@ -0,0 +1,213 @@
+import { decodeCommitHash, decodeProposalCreated, hexToAscii, hexToBech32Erd, hexToBigInt } from '../src/lib/decode.js'
+import { EVENT_SORT } from './store.js'
+
+// Proposal metadata: what each proposal is about and when it can be voted on. `proposal` creation
+// events (searched in ES like the votes) give the proposer, commit hash and voting epochs;
+// `viewProposal` queries against a MultiversX gateway add whether the proposal was closed and
+// passed, and the network status turns epochs into estimated times. Closed proposals are cached
+// for good, everything else for `ttlMs`. Failed lookups keep the cached values and are reported
+// in `errors`.
+
+// Return values of the governance contract's `viewProposal`, in order
+const VIEW_PROPOSAL_FIELDS = [
+  'cost',
+  'commitHash',
+  'nonce',
+  'proposer',
+  'startEpoch',
+  'endEpoch',
+  'quorumStake',
+  'yes',
+  'no',
+  'veto',
+  'abstain',
+  'closed',
+  'passed',
+]
+
+// Metachain shard id, for the network status
+const METACHAIN = 4294967295
+const MAX_PROPOSALS = 10_000
+
+export const PROPOSAL_STATUS = { PENDING: 'pending', ACTIVE: 'active', ENDED: 'ended', PASSED: 'passed', FAILED: 'failed' }
+
+// Voting is open from the start epoch through the end epoch; an ended proposal still has to be closed
+export function proposalStatus({ closed, passed, startEpoch, endEpoch }, currentEpoch) {
+  if (closed) return passed ? PROPOSAL_STATUS.PASSED : PROPOSAL_STATUS.FAILED
+  if (currentEpoch == null || startEpoch == null) return null
+  if (currentEpoch < startEpoch) return PROPOSAL_STATUS.PENDING
+  if (currentEpoch <= endEpoch) return PROPOSAL_STATUS.ACTIVE
+  return PROPOSAL_STATUS.ENDED
+}
+
+// Estimated unix time at which `epoch` starts, extrapolated from the progress of the current one
+export function epochStartTime(epoch, network) {
+  const rounds = (epoch - network.epoch) * network.roundsPerEpoch - network.roundsPassed
+  return Math.round(network.at + (rounds * network.roundDurationMs) / 1000)
+}
+
+export function buildProposalQuery(governanceSc) {
+  return {
+    size: MAX_PROPOSALS,
+    sort: EVENT_SORT,
+    query: {
+      bool: {
+        must: [
+          { bool: { should: [{ term: { address: governanceSc } }, { term: { logAddress: governanceSc } }] } },
+          { term: { identifier: 'proposal' } },
+        ],
+      },
+    },
+  }
+}
+
+const evenHex = (hex) => (hex.length % 2 ? `0${hex}` : hex)
+
+const base64ToHex = (b64) => Buffer.from(b64 ?? '', 'base64').toString('hex')
+
+export function decodeViewProposal(returnData) {
+  const f = Object.fromEntries(VIEW_PROPOSAL_FIELDS.map((name, i) => [name, base64ToHex(returnData[i])]))
+  return {
+    commitHash: decodeCommitHash(f.commitHash),
+    proposer: hexToBech32Erd(f.proposer) ?? f.proposer,
+    startEpoch: Number(hexToBigInt(f.startEpoch)),
+    endEpoch: Number(hexToBigInt(f.endEpoch)),
+    closed: hexToAscii(f.closed) === 'true',
+    passed: hexToAscii(f.passed) === 'true',
+  }
+}
+
+// Host of an http(s) gateway URL; throws on anything else
+function gatewayHostOf(gatewayUrl) {
+  let url
+  try {
+    url = new URL(gatewayUrl)
+  } catch {
+    throw new Error(`Invalid gateway URL ${gatewayUrl}`)
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error(`Gateway URL must be http(s): ${gatewayUrl}`)
+  return url.host
+}
+
+// `search` runs an ES query (the event store's, so offline mode reads the dump); an empty
+// `gatewayUrl` disables the view queries, an invalid one throws here rather than on every `get`.
+// `now` returns milliseconds.
+export function createProposalMetadata({ governanceSc, search, gatewayUrl, ttlMs = 60_000, timeoutMs = 10_000, now = () => Date.now() }) {
+  const gatewayHost = gatewayUrl ? gatewayHostOf(gatewayUrl) : null
+  const created = new Map()
+  const views = new Map()
+  let createdFetchedAt = null
+  let network = null
+  const errors = { events: null, gateway: null }
+  let inflight = null
+
+  const isFresh = (fetchedAt) => fetchedAt != null && now() - fetchedAt < ttlMs
+
+  // Gateway responses wrap their payload as { data, error, code: 'successful' }
+  async function gateway(pathname, body) {
+    const res = await fetch(`${gatewayUrl.replace(/\/$/, '')}${pathname}`, {
+      ...(body ? { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) } : {}),
+      signal: AbortSignal.timeout(timeoutMs),
+    })
+    const json = await res.json().catch(() => null)
+    if (!res.ok || json?.code !== 'successful') throw new Error(json?.error || `Gateway responded with HTTP ${res.status}`)
+    return json.data
+  }
+
+  async function viewProposal(id) {
+    const data = await gateway('/vm-values/query', {
+      scAddress: governanceSc,
+      funcName: 'viewProposal',
+      args: [evenHex(BigInt(id).toString(16))],
+    })
+    const { returnCode, returnMessage, returnData } = data.data
+    if (returnCode !== 'ok') throw new Error(`viewProposal(${id}): ${returnMessage || returnCode}`)
+    return decodeViewProposal(returnData ?? [])
+  }
+
+  async function fetchNetwork() {
+    const [{ status }, { config }] = await Promise.all([gateway(`/network/status/${METACHAIN}`), gateway('/network/config')])
+    return {
+      epoch: status.erd_epoch_number,
+      roundsPassed: status.erd_rounds_passed_in_current_epoch,
+      roundsPerEpoch: status.erd_rounds_per_epoch ?? config.erd_rounds_per_epoch,
+      roundDurationMs: config.erd_round_duration,
+      at: Math.floor(now() / 1000),
+      fetchedAt: now(),
+    }
+  }
+
+  async function refresh(ids) {
+    if (!isFresh(createdFetchedAt)) {
+      try {
+        const data = await search(buildProposalQuery(governanceSc))
+        for (const hit of data?.hits?.hits ?? []) {
+          const proposal = decodeProposalCreated(hit)
+          if (proposal) created.set(proposal.id, proposal)
+        }
+        createdFetchedAt = now()
+        errors.events = null
+      } catch (e) {
+        errors.events = e.message
+      }
+    }
+    if (!gatewayUrl) return
+
+    const pending = [...new Set([...ids, ...created.keys()])].filter((id) => {
+      const cached = views.get(id)
+      return !cached || (!cached.value?.closed && !isFresh(cached.fetchedAt))
+    })
+    const failures = []
+    // A failed lookup keeps the previous value and is only retried after the TTL
+    const viewFailed = (id, e) => {
+      views.set(id, { value: views.get(id)?.value ?? null, fetchedAt: now() })
+      failures.push(e.message)
+    }
+    await Promise.all([
+      isFresh(network?.fetchedAt) ? null : fetchNetwork().then((n) => (network = n), (e) => failures.push(e.message)),
+      ...pending.map((id) =>
+        viewProposal(id).then((value) => views.set(id, { value, fetchedAt: now() }), (e) => viewFailed(id, e)),
+      ),
+    ])
+    errors.gateway = failures[0] ?? null
+  }
+
+  function describe(id) {
+    const event = created.get(id)
+    const view = views.get(id)?.value
+    const startEpoch = view?.startEpoch ?? event?.startEpoch ?? null
+    const endEpoch = view?.endEpoch ?? event?.endEpoch ?? null
+    const closed = view?.closed ?? null
+    const passed = view?.passed ?? null
+    return {
+      id,
+      commitHash: view?.commitHash ?? event?.commitHash ?? null,
+      proposer: view?.proposer ?? event?.proposer ?? null,
+      createdAt: event?.timestamp ?? null,
+      txHash: event?.txHash ?? null,
+      startEpoch,
+      endEpoch,
+      closed,
+      passed,
+      status: proposalStatus({ closed, passed, startEpoch, endEpoch }, network?.epoch),
+      votingStartsAt: network && startEpoch != null ? epochStartTime(startEpoch, network) : null,
+      votingEndsAt: network && endEpoch != null ? epochStartTime(endEpoch + 1, network) : null,
+    }
+  }
+
+  // Metadata for the given proposal ids (those with votes) plus every proposal seen in creation
+  // events, newest first. Concurrent callers share the same refresh.
+  async function get(ids = []) {
+    if (!inflight) inflight = refresh(ids).finally(() => (inflight = null))
+    await inflight
+    const all = [...new Set([...ids, ...created.keys()])].sort((a, b) => Number(BigInt(b) - BigInt(a)))
+    return {
+      proposals: all.map(describe),
+      currentEpoch: network?.epoch ?? null,
+      gateway: gatewayHost,
+      errors: { ...errors },
+    }
+  }
+
+  return { get }
+}
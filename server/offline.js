@@ -0,0 +1,108 @@
+import fs from 'node:fs/promises'
+import { parseJsonLines } from './persistence.js'
+
+// Offline stand-in for the Elasticsearch `_search` endpoint, answering from an NDJSON dump of ES
+// hits (one `{ _id, _source }` per line, as written by `governance-stats capture`). It evaluates
+// the subset of the query DSL the event store uses: term, terms, range and bool queries, sort
+// (ties broken by `_id`), from/size and search_after.
+
+const DEFAULT_SIZE = 10
+
+const fieldValue = (hit, field) =>
+  field === '_id' ? hit._id : field.split('.').reduce((v, key) => (v == null ? undefined : v[key]), hit._source)
+
+// Array fields match when any element matches, as in ES
+const anyValue = (value, predicate) => (Array.isArray(value) ? value.some(predicate) : value != null && predicate(value))
+
+// `{ field: value }` or `{ field: { value } }`
+const termClause = (clause) => {
+  const [field, spec] = Object.entries(clause)[0]
+  return [field, spec !== null && typeof spec === 'object' ? spec.value : spec]
+}
+
+const asList = (clauses) => (clauses == null ? [] : Array.isArray(clauses) ? clauses : [clauses])
+
+export function matchesQuery(hit, query) {
+  if (!query || query.match_all) return true
+  const [type, body] = Object.entries(query)[0]
+  switch (type) {
+    case 'term': {
+      const [field, value] = termClause(body)
+      return anyValue(fieldValue(hit, field), (v) => v === value)
+    }
+    case 'terms': {
+      const [field, values] = Object.entries(body)[0]
+      return anyValue(fieldValue(hit, field), (v) => values.includes(v))
+    }
+    case 'range': {
+      const [field, { gt, gte, lt, lte }] = Object.entries(body)[0]
+      return anyValue(
+        fieldValue(hit, field),
+        (v) => (gt == null || v > gt) && (gte == null || v >= gte) && (lt == null || v < lt) && (lte == null || v <= lte),
+      )
+    }
+    case 'bool': {
+      const must = [...asList(body.must), ...asList(body.filter)]
+      const should = asList(body.should)
+      if (!must.every((q) => matchesQuery(hit, q))) return false
+      if (asList(body.must_not).some((q) => matchesQuery(hit, q))) return false
+      // Without must/filter clauses at least one should clause has to match
+      const minimumShould = body.minimum_should_match ?? (must.length ? 0 : 1)
+      return !should.length || should.filter((q) => matchesQuery(hit, q)).length >= Math.min(minimumShould, should.length)
+    }
+    default:
+      throw new Error(`Unsupported query clause "${type}" in offline mode`)
+  }
+}
+
+// `['field']`, `[{ field: 'desc' }]` or `[{ field: { order: 'desc' } }]` → [{ field, desc }]
+const parseSort = (sort) =>
+  asList(sort).map((s) => {
+    if (typeof s === 'string') return { field: s, desc: false }
+    const [field, spec] = Object.entries(s)[0]
+    return { field, desc: (typeof spec === 'string' ? spec : spec?.order) === 'desc' }
+  })
+
+// Missing values sort last, whatever the order
+const compareValues = (a, b, desc) => {
+  if (a === b) return 0
+  if (a == null) return 1
+  if (b == null) return -1
+  return (a < b ? -1 : 1) * (desc ? -1 : 1)
+}
+
+const compareKeys = (sort, a, b) => {
+  for (let i = 0; i < sort.length; i += 1) {
+    const c = compareValues(a[i], b[i], sort[i].desc)
+    if (c) return c
+  }
+  return 0
+}
+
+export function createDumpSearch(hits) {
+  return async function search(body = {}) {
+    const sort = parseSort(body.sort)
+    const from = body.from ?? 0
+    const size = body.size ?? DEFAULT_SIZE
+
+    // Ties are broken by _id so pages are stable even when the sort is not unique
+    let matched = hits
+      .filter((hit) => matchesQuery(hit, body.query))
+      .map((hit) => ({ _id: hit._id, _source: hit._source, sort: sort.map((s) => fieldValue(hit, s.field)) }))
+      .sort((a, b) => compareKeys(sort, a.sort, b.sort) || compareValues(a._id, b._id, false))
+    // As in ES, the total counts every match whatever the page cursor
+    const total = matched.length
+    if (body.search_after) matched = matched.filter((hit) => compareKeys(sort, hit.sort, body.search_after) > 0)
+
+    return {
+      hits: {
+        total: { value: total, relation: 'eq' },
+        hits: matched.slice(from, from + size),
+      },
+    }
+  }
+}
+
+export async function loadDump(filePath) {
+  return parseJsonLines(await fs.readFile(filePath, 'utf8')).filter((hit) => hit?._id != null && hit._source)
+}
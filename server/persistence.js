@@ -0,0 +1,75 @@
+import fs from 'node:fs/promises'
+import path from 'node:path'
+
+// On-disk copy of the event store: an append-only JSONL file of events plus a small JSON
+// file holding the sync cursor. Both live in `dataDir`.
+const EVENTS_FILE = 'events.jsonl'
+const CURSOR_FILE = 'cursor.json'
+
+// Lines that fail to parse (e.g. a write interrupted by a crash) are skipped
+export function parseJsonLines(text) {
+  const items = []
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue
+    try {
+      items.push(JSON.parse(line))
+    } catch {
+      // ignore torn line
+    }
+  }
+  return items
+}
+
+export function createDiskStore(dataDir) {
+  const eventsPath = path.join(dataDir, EVENTS_FILE)
+  const cursorPath = path.join(dataDir, CURSOR_FILE)
+
+  async function ensureDir() {
+    await fs.mkdir(dataDir, { recursive: true })
+  }
+
+  async function loadEvents() {
+    let text
+    try {
+      text = await fs.readFile(eventsPath, 'utf8')
+    } catch (e) {
+      if (e.code === 'ENOENT') return []
+      throw e
+    }
+    return parseJsonLines(text)
+  }
+
+  async function appendEvents(events) {
+    if (!events.length) return
+    await ensureDir()
+    await fs.appendFile(eventsPath, events.map((e) => JSON.stringify(e) + '\n').join(''))
+  }
+
+  async function loadCursor() {
+    try {
+      return JSON.parse(await fs.readFile(cursorPath, 'utf8'))
+    } catch (e) {
+      if (e.code === 'ENOENT' || e instanceof SyntaxError) return null
+      throw e
+    }
+  }
+
+  // Write-then-rename so a crash never leaves a half-written cursor behind
+  async function saveCursor(cursor) {
+    await ensureDir()
+    const tmp = cursorPath + '.tmp'
+    await fs.writeFile(tmp, JSON.stringify(cursor))
+    await fs.rename(tmp, cursorPath)
+  }
+
+  async function fileSize() {
+    try {
+      return (await fs.stat(eventsPath)).size
+    } catch (e) {
+      if (e.code === 'ENOENT') return 0
+      throw e
+    }
+  }
+
+  return { dataDir, eventsPath, loadEvents, appendEvents, loadCursor, saveCursor, fileSize }
+}
@@ -0,0 +1,53 @@
+import fs from 'node:fs'
+
+// Delegation contract registry: a JSON file mapping contract addresses to { name, logo? }.
+// The file is re-read whenever its mtime changes, so new providers can be labeled without a restart.
+export function createRegistry(filePath) {
+  let entries = {}
+  let mtimeMs = null
+  let version = 0
+  let lastError = null
+
+  function reload() {
+    let stat
+    try {
+      stat = fs.statSync(filePath)
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e
+      if (mtimeMs !== null) {
+        entries = {}
+        mtimeMs = null
+        version += 1
+      }
+      return
+    }
+    if (stat.mtimeMs === mtimeMs) return
+    mtimeMs = stat.mtimeMs
+    try {
+      const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+      entries = Object.fromEntries(
+        Object.entries(parsed).filter(([, v]) => v && typeof v.name === 'string'),
+      )
+      lastError = null
+    } catch (e) {
+      // keep serving the previous entries until the file is fixed
+      lastError = e
+      // eslint-disable-next-line no-console
+      console.error(`[cache-api] invalid delegation registry ${filePath}:`, e.message)
+    }
+    version += 1
+  }
+
+  return {
+    filePath,
+    entries: () => {
+      reload()
+      return entries
+    },
+    version: () => {
+      reload()
+      return version
+    },
+    lastError: () => lastError,
+  }
+}
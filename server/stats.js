@@ -0,0 +1,520 @@
+// Aggregation of governance vote events, served by the API as JSON.
+import { OPTIONS, decodeVote } from '../src/lib/decode.js'
+import { concentrationMetrics } from '../src/lib/concentration.js'
+import { STATUS, computeOutcome } from '../src/lib/outcome.js'
+import { bigintAsc, byPowerDesc, descBy } from '../src/lib/sort.js'
+
+export { OPTIONS }
+
+// `registry` maps delegation contract addresses to { name, logo? } (see server/registry.js);
+// delegated votes through contracts missing from it are grouped as "others".
+export const OTHERS = 'others'
+
+const sourceLabel = (registry, source) => (source ? registry[source]?.name ?? OTHERS : null)
+
+
+// --- Effective votes ---
+// The governance contract records one vote per proposal, voter and delegation source: a repeat
+// vote replaces the earlier one. The "effective" view keeps only the latest vote per key; the
+// "raw" view counts every event.
+export const VIEWS = ['effective', 'raw']
+
+const voteKey = (v) => `${v.proposal}|${v.voter}|${v.source ?? 'direct'}`
+
+// Votes are expected in event order (timestamp ascending), so the last one seen per key wins
+export function effectiveVotes(votes) {
+  const latest = new Map()
+  for (const v of votes) latest.set(voteKey(v), v)
+  return Array.from(latest.values())
+}
+
+function proposalVotes(events, proposalId) {
+  const votes = []
+  for (const hit of events) {
+    const vote = decodeVote(hit)
+    if (vote && vote.proposal === proposalId) votes.push(vote)
+  }
+  return votes
+}
+
+// Voters (per delegation source) whose votes on the proposal did not all pick the same option
+export function listVoteChanges(events, proposalId, registry = {}) {
+  const histories = new Map()
+  // One pass, appending in event order: copying the history per vote would be quadratic
+  for (const v of proposalVotes(events, proposalId)) {
+    const key = voteKey(v)
+    const history = histories.get(key)
+    if (history) history.push(v)
+    else histories.set(key, [v])
+  }
+  const changes = []
+  for (const history of histories.values()) {
+    if (new Set(history.map((v) => v.option)).size < 2) continue
+    const first = history[0]
+    const last = history[history.length - 1]
+    changes.push({
+      voter: last.voter,
+      source: last.source,
+      sourceLabel: sourceLabel(registry, last.source),
+      from: first.option,
+      to: last.option,
+      power: last.power,
+      history: history.map(({ id, option, stake, power, timestamp, txHash }) => ({ id, option, stake, power, timestamp, txHash })),
+    })
+  }
+  return changes.sort(byPowerDesc)
+}
+
+// --- Snapshots ---
+// Events are stored in timestamp order, so the state as of `at` (unix seconds, inclusive) is the
+// prefix of events up to that moment. Without `at` every event is kept.
+export function eventsAsOf(events, at) {
+  if (at == null) return events
+  let lo = 0
+  let hi = events.length
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1
+    if ((events[mid]._source?.timestamp ?? 0) <= at) lo = mid + 1
+    else hi = mid
+  }
+  return events.slice(0, lo)
+}
+
+// --- Aggregations ---
+export function listProposals(events) {
+  const byId = new Map()
+  for (const hit of events) {
+    const vote = decodeVote(hit)
+    if (!vote) continue
+    const { proposal: id, timestamp: ts } = vote
+    const prev = byId.get(id) ?? { id, votes: 0, firstVote: ts, lastVote: ts }
+    byId.set(id, {
+      id,
+      votes: prev.votes + 1,
+      firstVote: Math.min(prev.firstVote, ts),
+      lastVote: Math.max(prev.lastVote, ts),
+    })
+  }
+  return Array.from(byId.values()).sort((a, b) => Number(BigInt(b.id) - BigInt(a.id)))
+}
+
+const viewVotes = (votes, view) => (view === 'raw' ? votes : effectiveVotes(votes))
+
+export function aggregateProposal(events, proposalId, { view = 'effective', registry = {} } = {}) {
+  const allVotes = proposalVotes(events, proposalId)
+  const votes = viewVotes(allVotes, view)
+  // Each option is also split into direct and delegated votes, and the delegated ones by source label
+  const byOption = Object.fromEntries(
+    OPTIONS.map((o) => [
+      o,
+      { option: o, count: 0, power: 0n, direct: { count: 0, power: 0n }, delegated: { count: 0, power: 0n }, bySource: {} },
+    ]),
+  )
+  const perCategoryAddresses = Object.fromEntries(OPTIONS.map((o) => [o, new Map()]))
+
+  let totalPower = 0n
+
+  // Delegation source breakdown
+  const delegationBreakdown = new Map()
+
+  for (const vote of votes) {
+    const { option, voter, stake, power } = vote
+
+    byOption[option].count += 1
+    byOption[option].power += power
+    byOption[option][vote.kind].count += 1
+    byOption[option][vote.kind].power += power
+    totalPower += power
+
+    const m = perCategoryAddresses[option]
+    const prev = m.get(voter) ?? { stake: 0n, power: 0n, count: 0 }
+    m.set(voter, { stake: prev.stake + stake, power: prev.power + power, count: prev.count + 1 })
+
+    if (vote.kind === 'delegated') {
+      // delegation source label by the contract that relayed the vote
+      const label = sourceLabel(registry, vote.source)
+      const optionSource = byOption[option].bySource[label] ?? { count: 0, power: 0n }
+      byOption[option].bySource[label] = { count: optionSource.count + 1, power: optionSource.power + power }
+      const prevSource = delegationBreakdown.get(label) ?? { name: label, logo: registry[vote.source]?.logo ?? null, power: 0n, count: 0 }
+      delegationBreakdown.set(label, { ...prevSource, power: prevSource.power + power, count: prevSource.count + 1 })
+    }
+  }
+
+  const voters = Object.fromEntries(
+    OPTIONS.map((opt) => [
+      opt,
+      Array.from(perCategoryAddresses[opt].entries())
+        .map(([addr, v]) => ({ address: addr, stake: v.stake, power: v.power, count: v.count }))
+        .sort(byPowerDesc),
+    ]),
+  )
+
+  return {
+    proposal: proposalId,
+    view,
+    events: allVotes.length,
+    supersededVotes: allVotes.length - effectiveVotes(allVotes).length,
+    byOption,
+    totalPower,
+    totalVotes: OPTIONS.reduce((n, o) => n + byOption[o].count, 0),
+    delegation: Array.from(delegationBreakdown.values()),
+    voters,
+  }
+}
+
+// Stake vs vote power: totals per option under both weightings, and every vote's power/stake
+// ratio (basis points, null without stake) against the median ratio. `points` holds the votes with
+// the most stake; `anomalies` the votes whose ratio is off the median by more than `toleranceBps`
+// of it (or that have power without stake), by power.
+export function stakePowerAnalysis(events, proposalId, { view = 'effective', pointLimit = 2000, anomalyLimit = 50, toleranceBps = 1000n } = {}) {
+  const votes = viewVotes(proposalVotes(events, proposalId), view).map((v) => ({
+    id: v.id,
+    address: v.voter,
+    option: v.option,
+    kind: v.kind,
+    source: v.source,
+    stake: v.stake,
+    power: v.power,
+    ratioBps: v.stake > 0n ? (v.power * 10_000n) / v.stake : null,
+  }))
+  const byOption = Object.fromEntries(OPTIONS.map((o) => [o, { stake: 0n, power: 0n }]))
+  for (const v of votes) {
+    byOption[v.option].stake += v.stake
+    byOption[v.option].power += v.power
+  }
+
+  const ratios = votes.map((v) => v.ratioBps).filter((r) => r != null).sort(bigintAsc)
+  const medianRatioBps = ratios.length ? ratios[Math.floor((ratios.length - 1) / 2)] : null
+  const isAnomaly = (v) => {
+    if (v.ratioBps == null) return v.power > 0n
+    const deviation = v.ratioBps > medianRatioBps ? v.ratioBps - medianRatioBps : medianRatioBps - v.ratioBps
+    return deviation * 10_000n > medianRatioBps * toleranceBps
+  }
+  const anomalies = votes.filter(isAnomaly).sort(byPowerDesc)
+
+  return {
+    proposal: proposalId,
+    view,
+    votes: votes.length,
+    totalStake: OPTIONS.reduce((sum, o) => sum + byOption[o].stake, 0n),
+    totalPower: OPTIONS.reduce((sum, o) => sum + byOption[o].power, 0n),
+    byOption,
+    medianRatioBps,
+    minRatioBps: ratios[0] ?? null,
+    maxRatioBps: ratios[ratios.length - 1] ?? null,
+    toleranceBps,
+    anomalyCount: anomalies.length,
+    anomalies: anomalies.slice(0, anomalyLimit),
+    points: [...votes].sort(descBy('stake')).slice(0, pointLimit),
+  }
+}
+
+// Delegated votes per source label (unlabeled contracts share "others"): the option split of each
+// source and every delegator who voted through it, one row per delegator and contract
+export function delegationBySource(events, proposalId, { view = 'effective', registry = {} } = {}) {
+  const sources = new Map()
+  for (const vote of viewVotes(proposalVotes(events, proposalId), view)) {
+    if (vote.kind !== 'delegated') continue
+    const name = sourceLabel(registry, vote.source)
+    const source = sources.get(name) ?? {
+      name,
+      logo: registry[vote.source]?.logo ?? null,
+      contracts: new Set(),
+      count: 0,
+      power: 0n,
+      byOption: Object.fromEntries(OPTIONS.map((o) => [o, { count: 0, power: 0n }])),
+      delegators: new Map(),
+    }
+    source.contracts.add(vote.source)
+    source.count += 1
+    source.power += vote.power
+    source.byOption[vote.option].count += 1
+    source.byOption[vote.option].power += vote.power
+
+    const key = `${vote.voter}|${vote.source}`
+    const delegator = source.delegators.get(key) ?? {
+      address: vote.voter,
+      contract: vote.source,
+      count: 0,
+      stake: 0n,
+      power: 0n,
+      byOption: Object.fromEntries(OPTIONS.map((o) => [o, 0n])),
+    }
+    delegator.count += 1
+    delegator.stake += vote.stake
+    delegator.power += vote.power
+    delegator.byOption[vote.option] += vote.power
+    source.delegators.set(key, delegator)
+    sources.set(name, source)
+  }
+  return Array.from(sources.values())
+    .map((source) => ({
+      ...source,
+      contracts: Array.from(source.contracts),
+      delegators: Array.from(source.delegators.values()).sort(byPowerDesc),
+    }))
+    .sort(byPowerDesc)
+}
+
+// Concentration metrics over each voter's power: for the whole proposal (a voter's power summed
+// across options and sources) and per option
+export function proposalConcentration(events, proposalId, { view = 'effective' } = {}) {
+  const { voters } = aggregateProposal(events, proposalId, { view })
+  const overall = new Map()
+  for (const o of OPTIONS) {
+    for (const v of voters[o]) overall.set(v.address, (overall.get(v.address) ?? 0n) + v.power)
+  }
+  return {
+    proposal: proposalId,
+    view,
+    overall: concentrationMetrics(Array.from(overall.values())),
+    byOption: Object.fromEntries(OPTIONS.map((o) => [o, concentrationMetrics(voters[o].map((v) => v.power))])),
+  }
+}
+
+// --- Cross-proposal analysis ---
+// A voter's choice on a proposal is the option carrying most of their power there (direct and
+// delegated votes combined). Returns Map(voter → { option, power }) with power over all options.
+function voterChoices(votes) {
+  const perVoter = new Map()
+  for (const v of votes) {
+    const perOption = perVoter.get(v.voter) ?? new Map()
+    perOption.set(v.option, (perOption.get(v.option) ?? 0n) + v.power)
+    perVoter.set(v.voter, perOption)
+  }
+  const choices = new Map()
+  for (const [voter, perOption] of perVoter) {
+    const [option] = Array.from(perOption.entries()).reduce((best, e) => (e[1] > best[1] ? e : best))
+    choices.set(voter, { option, power: Array.from(perOption.values()).reduce((sum, p) => sum + p, 0n) })
+  }
+  return choices
+}
+
+// Side-by-side totals for several proposals, plus the voters whose choice differs between them
+// (only voters who voted on at least two of the proposals can differ)
+export function compareProposals(events, proposalIds, { view = 'effective', divergentLimit = 200 } = {}) {
+  const choicesById = new Map()
+  const proposals = proposalIds.map((id) => {
+    const votes = viewVotes(proposalVotes(events, id), view)
+    const byOption = Object.fromEntries(OPTIONS.map((o) => [o, { count: 0, power: 0n }]))
+    let totalPower = 0n
+    let directPower = 0n
+    let delegatedPower = 0n
+    for (const v of votes) {
+      byOption[v.option].count += 1
+      byOption[v.option].power += v.power
+      totalPower += v.power
+      if (v.kind === 'delegated') delegatedPower += v.power
+      else directPower += v.power
+    }
+    const choices = voterChoices(votes)
+    choicesById.set(id, choices)
+    return {
+      id,
+      totalPower,
+      totalVotes: OPTIONS.reduce((n, o) => n + byOption[o].count, 0),
+      uniqueVoters: choices.size,
+      byOption,
+      directPower,
+      delegatedPower,
+    }
+  })
+
+  const perVoter = new Map() // voter → { options: { [proposal]: option }, power }
+  for (const [id, choices] of choicesById) {
+    for (const [voter, { option, power }] of choices) {
+      const entry = perVoter.get(voter) ?? { address: voter, options: {}, power: 0n }
+      entry.options[id] = option
+      entry.power += power
+      perVoter.set(voter, entry)
+    }
+  }
+  const divergent = Array.from(perVoter.values())
+    .filter((d) => new Set(Object.values(d.options)).size > 1)
+    .sort(byPowerDesc)
+
+  return { view, proposals, divergentVoters: divergent.length, divergent: divergent.slice(0, divergentLimit) }
+}
+
+// Option that won a proposal, by outcome status; quorum is not checked (the staked supply is unknown here)
+const OUTCOME_OPTION = { [STATUS.PASSING]: 'yes', [STATUS.FAILING]: 'no', [STATUS.VETOED]: 'veto' }
+
+const byLoyalty = (a, b) => b.proposals - a.proposals || byPowerDesc({ power: a.latestPower }, { power: b.latestPower })
+
+// Who keeps coming back, replayed over the proposals in id order: first-time vs returning voters
+// and retention from the previous proposal; per voter the number of proposals voted on and how
+// often their choice matched the outcome. `aligned` lists voters of two or more proposals who
+// always picked the winning option.
+export function cohortAnalysis(events, { view = 'effective', passThresholdBps, vetoThresholdBps, limit = 100 } = {}) {
+  const ids = listProposals(events).map((p) => p.id).reverse()
+  const seen = new Set()
+  const voters = new Map() // voter → { address, proposals, alignedWith, latestPower }
+  let previous = null
+
+  const proposals = ids.map((id) => {
+    const votes = viewVotes(proposalVotes(events, id), view)
+    const byOption = Object.fromEntries(OPTIONS.map((o) => [o, { power: 0n }]))
+    let totalPower = 0n
+    for (const v of votes) {
+      byOption[v.option].power += v.power
+      totalPower += v.power
+    }
+    const { status } = computeOutcome({ byOption, totalPower }, { quorumBps: 0n, passThresholdBps, vetoThresholdBps, totalStaked: null })
+    const winningOption = OUTCOME_OPTION[status]
+
+    const choices = voterChoices(votes)
+    let firstTime = 0
+    let retained = 0
+    for (const [voter, { option, power }] of choices) {
+      if (!seen.has(voter)) firstTime += 1
+      if (previous?.has(voter)) retained += 1
+      const entry = voters.get(voter) ?? { address: voter, proposals: 0, alignedWith: 0, latestPower: 0n }
+      entry.proposals += 1
+      if (option === winningOption) entry.alignedWith += 1
+      entry.latestPower = power
+      voters.set(voter, entry)
+    }
+    for (const voter of choices.keys()) seen.add(voter)
+
+    const row = {
+      id,
+      voters: choices.size,
+      firstTime,
+      returning: choices.size - firstTime,
+      retained: previous ? retained : null,
+      retentionBps: previous?.size ? (BigInt(retained) * 10_000n) / BigInt(previous.size) : null,
+      status,
+      winningOption,
+    }
+    previous = choices
+    return row
+  })
+
+  const distribution = new Map()
+  for (const v of voters.values()) distribution.set(v.proposals, (distribution.get(v.proposals) ?? 0) + 1)
+  const aligned = Array.from(voters.values())
+    .filter((v) => v.proposals >= 2 && v.alignedWith === v.proposals)
+    .sort(byLoyalty)
+
+  return {
+    view,
+    proposals,
+    totalVoters: voters.size,
+    distribution: Array.from(distribution.entries())
+      .map(([count, n]) => ({ proposals: count, voters: n }))
+      .sort((a, b) => a.proposals - b.proposals),
+    loyal: Array.from(voters.values()).sort(byLoyalty).slice(0, limit),
+    alignedVoters: aligned.length,
+    aligned: aligned.slice(0, limit),
+  }
+}
+
+// --- Timeline ---
+export const BUCKETS = { hour: 3600, day: 86400 }
+
+// Hourly buckets for proposals that ran under a week, daily otherwise
+export const autoBucket = (firstVote, lastVote) => (lastVote - firstVote <= 7 * BUCKETS.day ? 'hour' : 'day')
+
+const zeroCounts = () => Object.fromEntries(OPTIONS.map((o) => [o, 0]))
+const zeroPowers = () => Object.fromEntries(OPTIONS.map((o) => [o, 0n]))
+
+// Per-bucket activity and running totals per option, over a contiguous range of buckets
+// from the first to the last vote (empty buckets included so the x-axis is linear in time).
+// In the effective view the running totals drop a voter's previous vote when it is replaced;
+// per-bucket activity always counts every vote cast in the bucket.
+export function proposalTimeline(events, proposalId, bucketSeconds, { view = 'effective' } = {}) {
+  const votes = proposalVotes(events, proposalId)
+  if (!votes.length) return []
+
+  const bucketOf = (ts) => Math.floor(ts / bucketSeconds) * bucketSeconds
+  const first = bucketOf(votes.reduce((m, v) => Math.min(m, v.timestamp), Infinity))
+  const last = bucketOf(votes.reduce((m, v) => Math.max(m, v.timestamp), -Infinity))
+  const buckets = []
+  for (let start = first; start <= last; start += bucketSeconds) {
+    buckets.push({ start, counts: zeroCounts(), power: zeroPowers() })
+  }
+
+  const cumulativeCounts = zeroCounts()
+  const cumulativePower = zeroPowers()
+  const latest = new Map()
+  let index = 0
+  for (const b of buckets) {
+    for (; index < votes.length && bucketOf(votes[index].timestamp) === b.start; index++) {
+      const v = votes[index]
+      b.counts[v.option] += 1
+      b.power[v.option] += v.power
+      const prev = view === 'raw' ? null : latest.get(voteKey(v))
+      if (prev) {
+        cumulativeCounts[prev.option] -= 1
+        cumulativePower[prev.option] -= prev.power
+      }
+      latest.set(voteKey(v), v)
+      cumulativeCounts[v.option] += 1
+      cumulativePower[v.option] += v.power
+    }
+    b.cumulativeCounts = { ...cumulativeCounts }
+    b.cumulativePower = { ...cumulativePower }
+  }
+  return buckets
+}
+
+// Every vote cast by each address (directly or through a delegation contract), oldest first
+// A vote is `superseded` when the same voter later voted again on that proposal through the same source.
+export function indexVotesByVoter(events, registry = {}) {
+  const byVoter = new Map()
+  const latest = new Map()
+  for (const hit of events) {
+    const vote = decodeVote(hit)
+    if (!vote) continue
+    const entry = { ...vote, sourceLabel: sourceLabel(registry, vote.source), superseded: false }
+    const key = voteKey(vote)
+    const prev = latest.get(key)
+    if (prev) prev.superseded = true
+    latest.set(key, entry)
+    const list = byVoter.get(vote.voter) ?? []
+    list.push(entry)
+    byVoter.set(vote.voter, list)
+  }
+  return byVoter
+}
+
+// The most recent votes across all proposals, newest first (the live feed)
+export function latestVotes(events, limit, registry = {}) {
+  const votes = []
+  for (let i = events.length - 1; i >= 0 && votes.length < limit; i -= 1) {
+    const vote = decodeVote(events[i])
+    if (vote) votes.push({ ...vote, sourceLabel: sourceLabel(registry, vote.source) })
+  }
+  return votes
+}
+
+// Every contract that relayed delegated votes, labeled or not, by effective voting power.
+// Unlabeled ones (label null) are the candidates for new registry entries.
+export function discoverDelegationSources(events, registry = {}) {
+  const votes = []
+  for (const hit of events) {
+    const vote = decodeVote(hit)
+    if (vote?.kind === 'delegated') votes.push(vote)
+  }
+  const sources = new Map()
+  for (const v of effectiveVotes(votes)) {
+    const prev = sources.get(v.source) ?? {
+      address: v.source,
+      label: registry[v.source]?.name ?? null,
+      logo: registry[v.source]?.logo ?? null,
+      votes: 0,
+      power: 0n,
+      proposals: new Set(),
+    }
+    prev.votes += 1
+    prev.power += v.power
+    prev.proposals.add(v.proposal)
+    sources.set(v.source, prev)
+  }
+  return Array.from(sources.values())
+    .map(({ proposals, ...s }) => ({ ...s, proposals: proposals.size }))
+    .sort(byPowerDesc)
+}
+
+// JSON.stringify replacer: BigInt amounts are sent as decimal strings
+export const bigintReplacer = (_key, value) => (typeof value === 'bigint' ? value.toString() : value)
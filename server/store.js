@@ -0,0 +1,146 @@
+// In-memory store of governance vote events, kept up to date from Elasticsearch incrementally.
+// Events are appended in timestamp order; every sync only asks ES for events at or after the
+// latest stored timestamp and drops the ones already seen (by ES document id).
+// When a disk store is given, new events and the sync cursor are persisted as they arrive.
+// `search` defaults to POSTing to `esUrl`; offline mode passes a dump-backed one (see offline.js).
+// Subscribers registered with `subscribe` receive every batch of newly stored events.
+
+const PAGE_SIZE = 5000
+
+// `_id` has no doc values on current ES versions, so ties are broken by the transaction hash and
+// the event's position in its log, which are unique together
+export const EVENT_SORT = [{ timestamp: { order: 'asc' } }, { txHash: { order: 'asc' } }, { order: { order: 'asc' } }]
+
+export function buildSyncQuery(governanceSc, sinceTimestamp, searchAfter, size = PAGE_SIZE) {
+  const must = [
+    {
+      bool: {
+        should: [
+          { term: { address: governanceSc } },
+          { term: { logAddress: governanceSc } },
+        ],
+      },
+    },
+    { terms: { identifier: ['vote', 'delegateVote'] } },
+  ]
+  // gte rather than gt: events of the same second may land in ES after our last sync
+  if (sinceTimestamp != null) must.push({ range: { timestamp: { gte: sinceTimestamp } } })
+  return {
+    size,
+    sort: EVENT_SORT,
+    ...(searchAfter ? { search_after: searchAfter } : {}),
+    query: { bool: { must } },
+  }
+}
+
+// A hung request would hold up the shared sync every endpoint waits on, so it is aborted after `timeoutMs`
+export async function searchEs(esUrl, body, timeoutMs = 30_000) {
+  const res = await fetch(esUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs),
+  })
+  if (!res.ok) throw new Error(`ES responded with HTTP ${res.status}`)
+  return res.json()
+}
+
+export function createEventStore({ esUrl, governanceSc, syncIntervalMs, disk = null, search = (body) => searchEs(esUrl, body) }) {
+  const events = []
+  const ids = new Set()
+  let lastSyncAt = 0
+  let lastError = null
+  let inflight = null
+  const listeners = new Set()
+
+  const latestTimestamp = () => (events.length ? events[events.length - 1]._source.timestamp : null)
+
+  function add(hit) {
+    if (ids.has(hit._id)) return null
+    ids.add(hit._id)
+    const event = { _id: hit._id, _source: hit._source }
+    events.push(event)
+    return event
+  }
+
+  // The resume point is always derived from the loaded events rather than the saved cursor,
+  // so a torn events file can never make us skip past events we do not have.
+  async function load() {
+    if (!disk) return 0
+    for (const event of await disk.loadEvents()) add(event)
+    const cursor = await disk.loadCursor()
+    if (cursor?.lastSyncAt && cursor.latestTimestamp === latestTimestamp()) lastSyncAt = cursor.lastSyncAt
+    return events.length
+  }
+
+  async function runSync() {
+    const since = latestTimestamp()
+    let searchAfter
+    let added = 0
+    for (;;) {
+      const data = await search(buildSyncQuery(governanceSc, since, searchAfter))
+      const page = data?.hits?.hits ?? []
+      // Written to disk before memory: if the append fails, the next sync fetches them again
+      const unseen = page.filter((hit) => !ids.has(hit._id)).map(({ _id, _source }) => ({ _id, _source }))
+      if (disk) await disk.appendEvents(unseen)
+      const fresh = unseen.map(add).filter(Boolean)
+      added += fresh.length
+      if (fresh.length) notify(fresh)
+      if (page.length < PAGE_SIZE) break
+      searchAfter = page[page.length - 1].sort
+    }
+    lastSyncAt = Date.now()
+    lastError = null
+    if (disk) await disk.saveCursor({ latestTimestamp: latestTimestamp(), lastSyncAt, count: events.length })
+    return added
+  }
+
+  // A failing subscriber must not break the sync
+  function notify(fresh) {
+    for (const listener of listeners) {
+      try {
+        listener(fresh)
+      } catch (e) {
+        // eslint-disable-next-line no-console
+        console.error('[cache-api] event subscriber failed:', e.message)
+      }
+    }
+  }
+
+  function subscribe(listener) {
+    listeners.add(listener)
+    return () => listeners.delete(listener)
+  }
+
+  // Concurrent callers share the same in-flight sync
+  function sync() {
+    if (!inflight) {
+      inflight = runSync()
+        .catch((e) => {
+          lastError = e
+          throw e
+        })
+        .finally(() => {
+          inflight = null
+        })
+    }
+    return inflight
+  }
+
+  async function syncIfStale() {
+    if (Date.now() - lastSyncAt < syncIntervalMs) return 0
+    return sync()
+  }
+
+  return {
+    load,
+    sync,
+    syncIfStale,
+    subscribe,
+    events: () => events,
+    size: () => events.length,
+    latestTimestamp,
+    lastSyncAt: () => lastSyncAt,
+    lastError: () => lastError,
+  }
+}
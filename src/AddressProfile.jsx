@@ -0,0 +1,108 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { Card, CardContent } from '@/components/ui/card'
+import { parseErdAddress } from '@/lib/decode'
+import { formatEgld, formatTimestamp, thousands } from '@/lib/format'
+import { fetchAddressVotes } from '@/api'
+import { Link } from '@/router'
+
+const EXPLORER_URL = import.meta.env.VITE_EXPLORER_URL || 'https://explorer.multiversx.com'
+
+const shortHash = (hash) => (hash.length > 16 ? `${hash.slice(0, 8)}…${hash.slice(-6)}` : hash)
+
+// Every vote an address cast, grouped by proposal (newest proposal first)
+export default function AddressProfile({ address }) {
+  const parsed = useMemo(() => parseErdAddress(address), [address])
+  const [data, setData] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (parsed.error) return undefined
+    let cancelled = false
+    setData(null)
+    setError(null)
+    fetchAddressVotes(parsed.address)
+      .then((d) => !cancelled && setData(d))
+      .catch((e) => !cancelled && setError(e?.message ?? 'Failed to load'))
+    return () => {
+      cancelled = true
+    }
+  }, [parsed])
+
+  const byProposal = useMemo(() => {
+    const groups = new Map()
+    for (const v of data?.votes ?? []) {
+      const vote = { ...v, stake: BigInt(v.stake), power: BigInt(v.power) }
+      groups.set(v.proposal, [...(groups.get(v.proposal) ?? []), vote])
+    }
+    return Array.from(groups.entries()).sort(([a], [b]) => Number(BigInt(b) - BigInt(a)))
+  }, [data])
+
+  return (
+      <div className="p-6 space-y-6">
+        <Link to="/" className="text-sm">← Back to dashboard</Link>
+        <div>
+          <div className="text-3xl font-bold">Voter profile</div>
+          <div className="font-mono text-sm text-gray-600 mt-1">{parsed.address ?? address}</div>
+        </div>
+
+        {parsed.error && <div className="text-red-600">Invalid address: {parsed.error}</div>}
+        {error && <div className="text-red-600">Error fetching votes: {error}</div>}
+        {!parsed.error && !data && !error && <div className="text-sm text-gray-500">Loading…</div>}
+
+        {data && (
+            <div className="text-sm text-gray-500">
+              {data.votes.length
+                ? `${thousands(data.votes.length)} votes across ${thousands(byProposal.length)} proposals`
+                : 'This address has not voted on any proposal.'}
+            </div>
+        )}
+
+        {byProposal.map(([proposal, votes]) => (
+            <Card key={proposal} className="rounded-2xl">
+              <CardContent className="p-4">
+                <div className="text-lg font-semibold mb-3">
+                  <Link to={`/?proposal=${proposal}`}>Proposal #{proposal}</Link>
+                </div>
+                <div className="overflow-auto">
+                  <table className="min-w-full text-sm">
+                    <thead>
+                    <tr className="text-left border-b">
+                      <th className="py-2 pr-4">Option</th>
+                      <th className="py-2 pr-4">Cast</th>
+                      <th className="py-2 pr-4">User Stake</th>
+                      <th className="py-2 pr-4">Vote Power</th>
+                      <th className="py-2 pr-4">Time</th>
+                      <th className="py-2 pr-4">Transaction</th>
+                    </tr>
+                    </thead>
+                    <tbody>
+                    {votes.map((v) => (
+                        <tr key={v.id} className={`border-b hover:bg-gray-50 ${v.superseded ? 'text-gray-500' : ''}`}>
+                          <td className="py-2 pr-4 uppercase">
+                            {v.option}
+                            {v.superseded && <span className="text-xs normal-case" title="Replaced by a later vote"> (superseded)</span>}
+                          </td>
+                          <td className="py-2 pr-4">
+                            {v.kind === 'direct'
+                              ? 'Direct'
+                              : <span title={v.source}>via {v.sourceLabel}</span>}
+                          </td>
+                          <td className="py-2 pr-4">{formatEgld(v.stake)}</td>
+                          <td className="py-2 pr-4">{formatEgld(v.power)}</td>
+                          <td className="py-2 pr-4">{formatTimestamp(v.timestamp)}</td>
+                          <td className="py-2 pr-4 font-mono">
+                            {v.txHash
+                              ? <a href={`${EXPLORER_URL}/transactions/${v.txHash}`} target="_blank" rel="noreferrer">{shortHash(v.txHash)}</a>
+                              : '—'}
+                          </td>
+                        </tr>
+                    ))}
+                    </tbody>
+                  </table>
+                </div>
+              </CardContent>
+            </Card>
+        ))}
+      </div>
+  )
+}
@@ -1,201 +1,134 @@
-import React, { useEffect, useMemo, useState } from 'react'
+import React, { useEffect, useMemo, useRef, useState } from 'react'
 import { Card, CardContent } from '@/components/ui/card'
 import { Button } from '@/components/ui/button'
 import { Input } from '@/components/ui/input'
+import { OPTIONS, parseErdAddress } from '@/lib/decode'
+import { formatBps, formatEgld, formatNumber, formatRatioBps, formatTimestamp, thousands, toEgldNumber, toEgldString } from '@/lib/format'
+import { VOTER_COLUMNS, voterRow } from '@/lib/export'
+import { ratioBps } from '@/lib/outcome'
+import { byPowerDesc } from '@/lib/sort'
+import { API_URL, fetchProposalData, fetchProposals, voterExportUrl } from '@/api'
+import AddressProfile from '@/AddressProfile'
+import ComparePage from '@/ComparePage'
+import CohortsPage from '@/CohortsPage'
+import VotingTimeline from '@/VotingTimeline'
+import OutcomePanel from '@/OutcomePanel'
+import SnapshotPicker from '@/SnapshotPicker'
+import ProposalDetails, { StatusBadge, proposalTitle, useProposalMetadata } from '@/ProposalMetadata'
+import VoteChanges from '@/VoteChanges'
+import ConcentrationPanel from '@/ConcentrationPanel'
+import StakePowerPanel from '@/StakePowerPanel'
+import DelegationSources from '@/DelegationSources'
+import DelegationDrilldown from '@/DelegationDrilldown'
+import ExportButtons from '@/ExportButtons'
+import LiveFeed, { LiveIndicator, isFeedActive } from '@/LiveFeed'
+import { useLiveUpdates } from '@/useLiveUpdates'
+import { COLORS } from '@/colors'
+import { Link, addressPath, navigate, usePath } from '@/router'
 import { PieChart, Pie, ResponsiveContainer, Tooltip, Legend, Cell } from 'recharts'
 import { motion } from 'framer-motion'
 
-// --- Config ---
-// Prefer same-origin proxy to avoid CORS in production. Override with VITE_ES_URL if needed.
-const ES_URL = import.meta.env.VITE_ES_URL || '/api/events/_search'
-
 const GOVERNANCE_SC = 'erd1qqqqqqqqqqqqqqqpqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqrlllsrujgla'
+// Busy votes arrive in many small batches; each client refetches at most this often
+const LIVE_REFRESH_MS = 5000
 
-const DELEGATION_LABELS = {
-  'erd1qqqqqqqqqqqqqpgqxwakt2g7u9atsnr03gqcgmhcv38pt7mkd94q6shuwt': 'Legacy Delegation',
-  'erd1qqqqqqqqqqqqqpgq6uzdzy54wnesfnlaycxwymrn9texlnmyah0ssrfvk6': 'xoxno',
-  'erd1qqqqqqqqqqqqqpgq4gzfcw7kmkjy8zsf04ce6dl0auhtzjx078sslvrf4e': 'hatom',
-}
-
-// --- Simple 1-minute cache for POST JSON ---
-const CACHE_TTL_MS = 60_000
-const _cache = new Map()
-async function postJsonCached(url, body, ttlMs = CACHE_TTL_MS) {
-  const key = url + '|' + JSON.stringify(body)
-  const now = Date.now()
-  const hit = _cache.get(key)
-  if (hit && (now - hit.time) < ttlMs) return hit.data
-
-  const res = await fetch(url, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(body),
-  })
-  if (!res.ok) throw new Error(`HTTP ${res.status}`)
-  const data = await res.json()
-  _cache.set(key, { time: now, data })
-  return data
-}
-
-// --- Utilities ---
-const hexToAscii = (hex) => {
-  if (!hex) return ''
-  try {
-    const bytes = hex.match(/.{1,2}/g)?.map((b) => parseInt(b, 16)) ?? []
-    return String.fromCharCode(...bytes).replace(/\u0000+$/g, '')
-  } catch {
-    return ''
-  }
-}
-
-const hexToBigInt = (hex) => {
-  if (!hex) return 0n
-  const h = hex.length % 2 === 1 ? '0' + hex : hex
-  try {
-    return BigInt('0x' + h)
-  } catch {
-    return 0n
-  }
-}
-
-// bech32 encoding for MultiversX (hrp "erd"). Minimal implementation.
-const bech32Polymod = (values) => {
-  const GENERATORS = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3]
-  let chk = 1
-  for (const v of values) {
-    const b = chk >> 25
-    chk = ((chk & 0x1ffffff) << 5) ^ v
-    for (let i = 0; i < 5; i++) {
-      if (((b >> i) & 1) !== 0) chk ^= GENERATORS[i]
-    }
-  }
-  return chk
-}
+// --- URL state ---
+// `?proposal=` selects the proposal and `?at=` (unix seconds) a historical snapshot, so both can be bookmarked
+const PROPOSAL_PARAM = 'proposal'
+const AT_PARAM = 'at'
 
-const bech32HrpExpand = (hrp) => {
-  const ret = []
-  for (let i = 0; i < hrp.length; i++) ret.push(hrp.charCodeAt(i) >> 5)
-  ret.push(0)
-  for (let i = 0; i < hrp.length; i++) ret.push(hrp.charCodeAt(i) & 31)
-  return ret
-}
+const readUrlParam = (name) => new URLSearchParams(window.location.search).get(name)
 
-const bech32CreateChecksum = (hrp, data) => {
-  const values = bech32HrpExpand(hrp).concat(data).concat([0, 0, 0, 0, 0, 0])
-  const mod = bech32Polymod(values) ^ 1
-  const rv = []
-  for (let p = 0; p < 6; p++) rv.push((mod >> (5 * (5 - p))) & 31)
-  return rv
+const writeUrlParam = (name, value) => {
+  const url = new URL(window.location.href)
+  if (value != null && value !== '') url.searchParams.set(name, value)
+  else url.searchParams.delete(name)
+  window.history.replaceState(null, '', url)
 }
 
-const BECH32_ALPHABET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l'
-
-const bech32Encode = (hrp, data) => {
-  const combined = data.concat(bech32CreateChecksum(hrp, data))
-  let out = hrp + '1'
-  for (const d of combined) out += BECH32_ALPHABET[d]
-  return out
-}
+const readProposalFromUrl = () => readUrlParam(PROPOSAL_PARAM)
 
-// convert 8-bit bytes to 5-bit groups
-const convertBits = (data, from, to, pad = true) => {
-  let acc = 0
-  let bits = 0
-  const ret = []
-  const maxv = (1 << to) - 1
-  for (const value of data) {
-    if (value < 0 || value >> from) return null
-    acc = (acc << from) | value
-    bits += from
-    while (bits >= to) {
-      bits -= to
-      ret.push((acc >> bits) & maxv)
-    }
-  }
-  if (pad) {
-    if (bits) ret.push((acc << (to - bits)) & maxv)
-  } else if (bits >= from || ((acc << (to - bits)) & maxv)) {
-    return null
-  }
-  return ret
+const readAtFromUrl = () => {
+  const at = Number(readUrlParam(AT_PARAM))
+  return readUrlParam(AT_PARAM) && Number.isInteger(at) ? at : null
 }
 
-const hexToBech32Erd = (hex32) => {
-  if (!hex32) return undefined
-  try {
-    const bytes = hex32.match(/.{1,2}/g)?.map((b) => parseInt(b, 16)) ?? []
-    if (bytes.length !== 32) return undefined
-    const five = convertBits(bytes, 8, 5, true)
-    return bech32Encode('erd', five)
-  } catch {
-    return undefined
+const toVoterRow = (v) => ({ ...v, stake: BigInt(v.stake), power: BigInt(v.power) })
+
+// --- Option split ---
+// Option cards and pies can break each option down into direct and delegated votes, or into
+// direct votes and each delegation source
+const SPLITS = [
+  ['none', 'Combined'],
+  ['kind', 'Direct / delegated'],
+  ['source', 'By source'],
+]
+
+const toAmounts = (x) => ({ count: x?.count ?? 0, power: BigInt(x?.power ?? 0) })
+
+const optionParts = (x, split) =>
+  split === 'kind'
+    ? [{ name: 'direct', ...x.direct }, { name: 'delegated', ...x.delegated }]
+    : [{ name: 'direct', ...x.direct }, ...x.bySource]
+
+// Parts of one option share its color, fading from direct votes to the smallest source
+const partOpacity = (i) => 1 - Math.min(i, 4) * 0.16
+
+// --- Address lookup ---
+// Validates the pasted address locally (bech32 checksum) before opening its voter profile.
+function AddressLookup() {
+  const [query, setQuery] = useState('')
+  const [validationError, setValidationError] = useState(null)
+
+  const lookup = (e) => {
+    e.preventDefault()
+    const parsed = parseErdAddress(query)
+    setValidationError(parsed.error ?? null)
+    if (!parsed.error) navigate(addressPath(parsed.address))
   }
-}
 
-// Format bigints as eGLD (assume 18 decimals)
-const EGLD_DEC = 18n
-const thousands = (n) => Number(n).toLocaleString('en-US')
-const bigThousands = (bi) => bi.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',')
-const formatEgld = (amount) => {
-  const neg = amount < 0n
-  let a = neg ? -amount : amount
-  const int = a / 10n ** EGLD_DEC
-  const frac = a % 10n ** EGLD_DEC
-  const fracStr = frac.toString().padStart(Number(EGLD_DEC), '0').slice(0, 4)
-  return `${neg ? '-' : ''}${bigThousands(int)}.${fracStr} EGLD`
-}
-
-// Convert BigInt amount (18 decimals) to a JS number of EGLD, with safe scaling
-const toEgldNumber = (amount) => {
-  // keep 4 decimals precision: divide by 1e14 as BigInt, then by 1e4 as Number
-  const scaled = amount / 10n ** 14n
-  return Number(scaled) / 1e4
-}
-
-// Voting option decoding
-const decodeOption = (hex) => {
-  const s = hexToAscii(hex).toLowerCase()
-  if (s === 'yes') return 'yes'
-  if (s === 'no') return 'no'
-  if (s === 'abstain') return 'abstain'
-  if (s === 'veto' || s === 'ncv' || s === 'veto_power') return 'veto'
-  return 'unknown'
+  return (
+      <Card className="rounded-2xl">
+        <CardContent className="p-4">
+          <form className="flex flex-wrap gap-2 items-center" onSubmit={lookup}>
+            <div className="text-lg font-semibold">Address lookup</div>
+            <Input
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                className="flex-1 font-mono"
+                placeholder="erd1…"
+                spellCheck={false}
+            />
+            <Button type="submit" disabled={!query.trim()}>Look up</Button>
+          </form>
+          {validationError && <div className="mt-1 text-sm text-red-600">{validationError}</div>}
+        </CardContent>
+      </Card>
+  )
 }
 
-// --- Fetching from Elasticsearch ---
-const buildQuery = (from = 0, size = 10000) => ({
-  from,
-  size,
-  sort: [{ timestamp: { order: 'asc' } }],
-  query: {
-    bool: {
-      must: [
-        {
-          bool: {
-            should: [
-              { term: { address: GOVERNANCE_SC } },
-              { term: { logAddress: GOVERNANCE_SC } },
-            ],
-          },
-        },
-        { terms: { identifier: ['vote', 'delegateVote'] } },
-      ],
-    },
-  },
-})
-
-export default function GovernanceDashboard() {
+function GovernanceDashboard() {
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
-  const [rawHits, setRawHits] = useState([])
-  const [limit, setLimit] = useState(10000)
-
-  const fetchData = async () => {
+  const [proposals, setProposals] = useState([])
+  const [proposalData, setProposalData] = useState(null)
+  const [stale, setStale] = useState(false)
+  const [refreshKey, setRefreshKey] = useState(0)
+  const [view, setView] = useState('effective')
+  const [selectedProposal, setSelectedProposal] = useState(readProposalFromUrl)
+  const [at, setAt] = useState(readAtFromUrl)
+  const [delegationSource, setDelegationSource] = useState(null)
+  const [split, setSplit] = useState('none')
+
+  // `refreshPanels` false only reloads the proposal list, not every card through refreshKey
+  const fetchData = async ({ refreshPanels = true } = {}) => {
     setLoading(true)
     setError(null)
     try {
-      const data = await postJsonCached(ES_URL, buildQuery(0, limit))
-      setRawHits((data?.hits?.hits ?? []))
+      const data = await fetchProposals()
+      setProposals(data.proposals ?? [])
+      setStale(!!data.stale)
+      if (refreshPanels) setRefreshKey((k) => k + 1)
     } catch (e) {
       setError(e?.message ?? 'Failed to load')
     } finally {
@@ -208,105 +141,110 @@ export default function GovernanceDashboard() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [])
 
-  // --- Aggregations ---
-  const stats = useMemo(() => {
-    const byOption = {
-      yes: { option: 'yes', count: 0, power: 0n },
-      no: { option: 'no', count: 0, power: 0n },
-      abstain: { option: 'abstain', count: 0, power: 0n },
-      veto: { option: 'veto', count: 0, power: 0n },
-      unknown: { option: 'unknown', count: 0, power: 0n },
-    }
+  const metadata = useProposalMetadata(refreshKey)
+
+  // Fall back to the most recent proposal when none (or an unknown one) is selected
+  const activeProposal = proposals.some((p) => p.id === selectedProposal)
+    ? selectedProposal
+    : proposals[0]?.id ?? null
+
+  // New votes pushed by the server are coalesced into one refetch per LIVE_REFRESH_MS: the proposal
+  // list always, every card (through refreshKey) only when a vote was for the proposal on screen
+  const liveTimer = useRef(null)
+  const liveTouchesActive = useRef(false)
+  const live = useLiveUpdates((votes) => {
+    if (votes.some((v) => v.proposal === activeProposal)) liveTouchesActive.current = true
+    if (liveTimer.current) return
+    liveTimer.current = setTimeout(() => {
+      liveTimer.current = null
+      const refreshPanels = liveTouchesActive.current
+      liveTouchesActive.current = false
+      fetchData({ refreshPanels })
+    }, LIVE_REFRESH_MS)
+  })
 
-    const perCategoryAddresses = {
-      yes: new Map(),
-      no: new Map(),
-      abstain: new Map(),
-      veto: new Map(),
-      unknown: new Map(),
-    }
+  useEffect(() => () => clearTimeout(liveTimer.current), [])
 
-    let totalPower = 0n
-
-    // Delegation source breakdown
-    const delegationBreakdown = new Map()
-    const delegationCountBreakdown = new Map()
-
-    for (const hit of rawHits) {
-      const s = hit._source
-      const id = s.identifier
-      const t = s.topics || []
-      if (!t.length) continue
-
-      if (id === 'vote') {
-        // Topics: [proposal, option, userStake, votePower]
-        const option = decodeOption(t[1])
-        const voterAddr = s.address
-        const userStake = hexToBigInt(t[2])
-        const votePower = hexToBigInt(t[3])
-        byOption[option].count += 1
-        byOption[option].power += votePower
-        totalPower += votePower
-        // per-address granularity from _source.address
-        const m = perCategoryAddresses[option]
-        const prev = m.get(voterAddr) ?? { stake: 0n, power: 0n, count: 0 }
-        m.set(voterAddr, { stake: prev.stake + userStake, power: prev.power + votePower, count: prev.count + 1 })
-      } else if (id === 'delegateVote') {
-        // Topics: [proposal, option, voter(32 bytes), userStake, votePower]
-        const option = decodeOption(t[1])
-        const voterHex = t[2]
-        const voterAddr = hexToBech32Erd(voterHex) ?? voterHex
-        const userStake = hexToBigInt(t[3])
-        const votePower = hexToBigInt(t[4])
-
-        byOption[option].count += 1
-        byOption[option].power += votePower
-        totalPower += votePower
-
-        const m = perCategoryAddresses[option]
-        const prev = m.get(voterAddr) ?? { stake: 0n, power: 0n, count: 0 }
-        m.set(voterAddr, { stake: prev.stake + userStake, power: prev.power + votePower, count: prev.count + 1 })
-
-        // delegation source label by the contract in _source.address
-        const src = s.address ?? 'others'
-        const label = DELEGATION_LABELS[src] ?? 'others'
-        delegationBreakdown.set(label, (delegationBreakdown.get(label) ?? 0n) + votePower)
-        delegationCountBreakdown.set(label, (delegationCountBreakdown.get(label) ?? 0) + 1)
-      }
-    }
+  const activeProposalInfo = proposals.find((p) => p.id === activeProposal) ?? null
 
-    const pieDataOptions = Object.values(byOption).map((x) => ({ name: x.option, value: toEgldNumber(x.power) }))
+  // A snapshot time belongs to one proposal's voting window, so switching proposals goes back to the latest state
+  const selectProposal = (id) => {
+    setSelectedProposal(id)
+    setAt(null)
+    setDelegationSource(null)
+  }
 
-    const pieDelegation = Array.from(delegationBreakdown.entries()).map(([name, power]) => ({ name, value: toEgldNumber(power) }))
+  useEffect(() => {
+    if (activeProposal) writeUrlParam(PROPOSAL_PARAM, activeProposal)
+  }, [activeProposal])
 
-    const pieDataOptionsCount = Object.values(byOption).map((x) => ({ name: x.option, value: x.count }))
+  useEffect(() => {
+    writeUrlParam(AT_PARAM, at)
+  }, [at])
 
-    const pieDelegationCount = Array.from(delegationCountBreakdown.entries()).map(([name, count]) => ({ name, value: count }))
+  useEffect(() => {
+    if (!activeProposal) return undefined
+    let cancelled = false
+    fetchProposalData(activeProposal, view, at)
+      .then((data) => !cancelled && setProposalData(data))
+      .catch((e) => !cancelled && setError(e?.message ?? 'Failed to load'))
+    return () => {
+      cancelled = true
+    }
+  }, [activeProposal, view, at, refreshKey])
 
-    const topPerCategory = (opt) =>
-        Array.from(perCategoryAddresses[opt].entries())
-            .map(([addr, v]) => ({ address: addr, stake: v.stake, power: v.power, count: v.count }))
-            .sort((a, b) => Number(b.power - a.power))
-            .slice(0, 50)
+  // --- Aggregations (computed server-side, converted for display) ---
+  const stats = useMemo(() => {
+    const summary = proposalData?.summary
+    const byOption = Object.fromEntries(
+      OPTIONS.map((o) => {
+        const x = summary?.byOption?.[o]
+        return [
+          o,
+          {
+            option: o,
+            count: x?.count ?? 0,
+            power: BigInt(x?.power ?? 0),
+            direct: toAmounts(x?.direct),
+            delegated: toAmounts(x?.delegated),
+            bySource: Object.entries(x?.bySource ?? {}).map(([name, v]) => ({ name, ...toAmounts(v) })).sort(byPowerDesc),
+          },
+        ]
+      }),
+    )
+    const delegation = (summary?.delegation ?? []).map((d) => ({ ...d, power: BigInt(d.power) }))
 
     return {
       byOption,
-      totalPower,
-      pieDataOptions,
-      pieDelegation,
-      lists: {
-        yes: topPerCategory('yes'),
-        no: topPerCategory('no'),
-        abstain: topPerCategory('abstain'),
-        veto: topPerCategory('veto'),
-        unknown: topPerCategory('unknown'),
-      },
-      pieDataOptionsCount,
-      pieDelegationCount,
+      totalPower: BigInt(summary?.totalPower ?? 0),
+      totalVotes: summary?.totalVotes ?? 0,
+      events: summary?.events ?? 0,
+      supersededVotes: summary?.supersededVotes ?? 0,
+      pieDataOptions: Object.values(byOption).map((x) => ({ name: x.option, power: x.power, value: toEgldNumber(x.power) })),
+      pieDelegation: delegation.map((d) => ({ name: d.name, logo: d.logo, power: d.power, value: toEgldNumber(d.power) })),
+      pieDataOptionsCount: Object.values(byOption).map((x) => ({ name: x.option, value: x.count })),
+      pieDelegationCount: delegation.map((d) => ({ name: d.name, logo: d.logo, value: d.count })),
+      lists: Object.fromEntries(OPTIONS.map((o) => [o, (proposalData?.lists?.[o] ?? []).map(toVoterRow)])),
     }
-  }, [rawHits])
+  }, [proposalData])
+
+  const snapshotSuffix = at != null ? `-at-${at}` : ''
+
+  // Outer pie ring and table rows when an option split is selected; empty parts are left out
+  const splitRows = (mode) =>
+    OPTIONS.flatMap((o) =>
+      optionParts(stats.byOption[o], split)
+        .filter((p) => p.count)
+        .map((p, i) => ({
+          name: `${o} · ${p.name}`,
+          option: o,
+          opacity: partOpacity(i),
+          power: p.power,
+          value: mode === 'power' ? toEgldNumber(p.power) : p.count,
+        })),
+    )
 
-  const optionCards = ['yes', 'no', 'abstain', 'veto', 'unknown'].map((k) => {
+  const optionCards = OPTIONS.map((k) => {
     const x = (stats.byOption)[k]
     return (
         <Card key={k} className="rounded-2xl shadow-sm">
@@ -314,28 +252,55 @@ export default function GovernanceDashboard() {
             <div className="text-sm uppercase tracking-wide text-gray-500">{k}</div>
             <div className="text-2xl font-semibold mt-1">{x.count.toLocaleString()} votes</div>
             <div className="text-xs text-gray-500">Power: {formatEgld(BigInt(x.power))}</div>
+            {split !== 'none' && (
+                <div className="mt-2 space-y-1 text-xs text-gray-500">
+                  {optionParts(x, split).filter((p) => p.count).map((p) => (
+                      <div key={p.name} className="flex justify-between gap-2">
+                        <span>{p.name}</span>
+                        <span title={`${thousands(p.count)} votes`}>
+                          {formatEgld(p.power)} ({formatBps(ratioBps(p.power, x.power))})
+                        </span>
+                      </div>
+                  ))}
+                </div>
+            )}
           </CardContent>
         </Card>
     )
   })
 
-  const Table = ({ rows }) => {
+  const Table = ({ rows, option }) => {
     const [expanded, setExpanded] = useState(false)
     const visible = expanded ? rows : rows.slice(0, 10)
     return (
         <div className="overflow-auto">
+          <ExportButtons
+              filename={`proposal-${activeProposal}-${option}-top-voters${snapshotSuffix}`}
+              columns={VOTER_COLUMNS}
+              rows={rows.map((r) => voterRow(activeProposal, option, r))}
+          >
+            <span className="text-gray-500">· all voters:</span>
+            <a href={voterExportUrl(activeProposal, { option, view, at })}>CSV</a>
+            <a href={voterExportUrl(activeProposal, { option, view, at, format: 'json' })}>JSON</a>
+          </ExportButtons>
           <table className="min-w-full text-sm">
             <thead>
             <tr className="text-left border-b">
               <th className="py-2 pr-4">Address</th>
+              <th className="py-2 pr-4">Stake</th>
               <th className="py-2 pr-4">Vote Power</th>
+              <th className="py-2 pr-4">Power / stake</th>
             </tr>
             </thead>
             <tbody>
             {visible.map((r) => (
                 <tr key={r.address} className="border-b hover:bg-gray-50">
-                  <td className="py-2 pr-4 font-mono">{r.address}</td>
+                  <td className="py-2 pr-4 font-mono">
+                    {r.address.startsWith('erd1') ? <Link to={addressPath(r.address)}>{r.address}</Link> : r.address}
+                  </td>
+                  <td className="py-2 pr-4">{formatEgld(r.stake)}</td>
                   <td className="py-2 pr-4">{formatEgld(r.power)}</td>
+                  <td className="py-2 pr-4">{formatRatioBps(ratioBps(r.power, r.stake))}</td>
                 </tr>
             ))}
             </tbody>
@@ -351,17 +316,40 @@ export default function GovernanceDashboard() {
     )
   }
 
-  const COLORS = {
-    yes: '#22c55e', // green-500
-    no: '#ef4444', // red-500
-    abstain: '#a3a3a3', // neutral-400
-    veto: '#f59e0b', // amber-500
-    unknown: '#6366f1', // indigo-500
-    default: ['#60a5fa', '#34d399', '#f87171', '#fbbf24', '#a78bfa', '#f472b6', '#22d3ee', '#4ade80'],
-  }
+  const ProposalSelector = () => (
+      <div className="overflow-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+          <tr className="text-left border-b">
+            <th className="py-2 pr-4">Proposal</th>
+            <th className="py-2 pr-4">Commit</th>
+            <th className="py-2 pr-4">Status</th>
+            <th className="py-2 pr-4">Votes</th>
+            <th className="py-2 pr-4">First vote</th>
+            <th className="py-2 pr-4">Last vote</th>
+          </tr>
+          </thead>
+          <tbody>
+          {proposals.map((p) => (
+              <tr
+                  key={p.id}
+                  className={`border-b hover:bg-gray-50 cursor-pointer ${p.id === activeProposal ? 'bg-gray-100 font-semibold' : ''}`}
+                  onClick={() => selectProposal(p.id)}
+              >
+                <td className="py-2 pr-4">#{p.id}</td>
+                <td className="py-2 pr-4 font-mono">{proposalTitle(metadata[p.id], true) ?? '—'}</td>
+                <td className="py-2 pr-4"><StatusBadge status={metadata[p.id]?.status} /></td>
+                <td className="py-2 pr-4">{thousands(p.votes)}</td>
+                <td className="py-2 pr-4">{formatTimestamp(p.firstVote)}</td>
+                <td className="py-2 pr-4">{formatTimestamp(p.lastVote)}</td>
+              </tr>
+          ))}
+          </tbody>
+        </table>
+        {!proposals.length && <div className="text-sm text-gray-500">No proposals found.</div>}
+      </div>
+  )
 
-  const formatNumber = (n, decimals = 0) =>
-      Number(n).toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: decimals })
   const valueFormatter = (value) => `${formatNumber(value, 2)} EGLD`
   const valueFormatterVotes = (value) => `${formatNumber(value, 0)}`
 
@@ -395,13 +383,23 @@ export default function GovernanceDashboard() {
   }
   const ValueLabelVotes = makeValueLabel(3, valueFormatterVotes)
 
-  const ChartTable = ({ rows, mode = 'power' }) => {
+  // Power rows export the exact amount (raw units and EGLD); vote rows export the count
+  const chartExportRows = (rows, mode) =>
+    rows.map((r) => (mode === 'power' ? { name: r.name, power: r.power.toString(), powerEgld: toEgldString(r.power) } : { name: r.name, votes: r.value }))
+
+  // `onSelect` makes rows clickable (delegation sources open their delegators)
+  const ChartTable = ({ rows, mode = 'power', filename, onSelect }) => {
     const [expanded, setExpanded] = useState(false)
     const sorted = [...rows].sort((a, b) => b.value - a.value)
     const visible = expanded ? sorted : sorted.slice(0, 10)
     const fmt = mode === 'power' ? valueFormatter : valueFormatterVotes
     return (
         <div className="overflow-auto">
+          <ExportButtons
+              filename={`proposal-${activeProposal}-${filename}${snapshotSuffix}`}
+              columns={mode === 'power' ? ['name', 'power', 'powerEgld'] : ['name', 'votes']}
+              rows={chartExportRows(sorted, mode)}
+          />
           <table className="text-xs" style={{ width: '100%', maxWidth: 360 }}>
             <thead>
             <tr className="text-left border-b">
@@ -411,8 +409,15 @@ export default function GovernanceDashboard() {
             </thead>
             <tbody>
             {visible.map((r) => (
-                <tr key={r.name} className="border-b hover:bg-gray-50">
-                  <td className="pr-3" style={{ padding: '4px 8px' }}>{r.name}</td>
+                <tr
+                    key={r.name}
+                    className={`border-b hover:bg-gray-50 ${onSelect ? 'cursor-pointer' : ''}`}
+                    onClick={onSelect ? () => onSelect(r.name) : undefined}
+                >
+                  <td className="pr-3" style={{ padding: '4px 8px' }}>
+                    {r.logo && <img src={r.logo} alt="" className="logo" />}
+                    {r.name}
+                  </td>
                   <td className="pr-0 text-right font-medium" style={{ padding: '4px 8px' }}>{fmt(r.value)}</td>
                 </tr>
             ))}
@@ -429,6 +434,38 @@ export default function GovernanceDashboard() {
     )
   }
 
+  // With a split, the options form the inner ring and their parts the outer one
+  const OptionPie = ({ rows, mode, label }) => {
+    const fmt = mode === 'power' ? valueFormatter : valueFormatterVotes
+    return (
+        <ResponsiveContainer width="100%" height="100%">
+          <PieChart>
+            <Pie
+                data={rows}
+                dataKey="value"
+                nameKey="name"
+                labelLine={split === 'none'}
+                label={split === 'none' ? label : false}
+                outerRadius={split === 'none' ? 120 : 80}
+            >
+              {rows.map((entry) => (
+                  <Cell key={entry.name} fill={COLORS[entry.name] || '#60a5fa'} />
+              ))}
+            </Pie>
+            {split !== 'none' && (
+                <Pie data={splitRows(mode)} dataKey="value" nameKey="name" labelLine label={label} innerRadius={86} outerRadius={120}>
+                  {splitRows(mode).map((entry) => (
+                      <Cell key={entry.name} fill={COLORS[entry.option] || '#60a5fa'} fillOpacity={entry.opacity} />
+                  ))}
+                </Pie>
+            )}
+            <Tooltip formatter={(v) => [fmt(v), mode === 'power' ? 'Power' : 'Votes']} />
+            <Legend payload={rows.map((r) => ({ value: r.name, type: 'square', color: COLORS[r.name] || '#60a5fa' }))} />
+          </PieChart>
+        </ResponsiveContainer>
+    )
+  }
+
   return (
       <div className="p-6 space-y-6">
         <motion.h1 initial={{ opacity: 0, y: -8 }} animate={{ opacity: 1, y: 0 }} className="text-3xl font-bold">
@@ -437,59 +474,108 @@ export default function GovernanceDashboard() {
 
         <Card className="rounded-2xl">
           <CardContent className="p-4 flex flex-wrap gap-3 items-center">
-            <div className="text-sm text-gray-600">Querying ES index for events where address/logAddress =</div>
+            <div className="text-sm text-gray-600">Votes synced by the API server from governance contract events of</div>
             <code className="px-2 py-1 bg-gray-100 rounded text-xs font-mono">{GOVERNANCE_SC}</code>
             <div className="ml-auto flex gap-2 items-center">
-              <Input
-                  type="number"
-                  min={100}
-                  max={50000}
-                  value={limit}
-                  onChange={(e) => setLimit(Number(e.target.value))}
-                  className="w-32"
-                  placeholder="size"
-              />
-              <Button onClick={fetchData} disabled={loading}>
+              <LiveIndicator connected={live.connected} syncedAt={live.syncedAt} stale={live.stale} />
+              <Button onClick={() => fetchData()} disabled={loading}>
                 {loading ? 'Loading…' : 'Refresh'}
               </Button>
             </div>
           </CardContent>
         </Card>
 
+        <AddressLookup />
+
+        {stale && (
+            <div className="text-amber-700 font-semibold">
+              Warning: the API server's last sync with Elasticsearch failed, so the totals below may be incomplete.
+              {' '}Refresh to retry.
+            </div>
+        )}
+
         {error && (
             <div className="text-red-600">
-              Error fetching data: {error}. Ensure this app can reach {ES_URL}.
-              In dev, `/api` is proxied. In production, run the cache API or reverse proxy `/api/` to the upstream.
+              Error fetching data: {error}. Ensure this app can reach {API_URL}.
+              In dev, `/api` is proxied. In production, run the API server (`npm run api`) behind `/api/`.
+            </div>
+        )}
+
+        {isFeedActive(live.feed) && <LiveFeed feed={live.feed} onSelectProposal={selectProposal} />}
+
+        <Card className="rounded-2xl">
+          <CardContent className="p-4">
+            <div className="flex flex-wrap gap-2 items-center mb-3">
+              <div className="text-lg font-semibold">Proposals</div>
+              {proposals.length > 1 && (
+                  <div className="ml-auto flex gap-3 text-sm">
+                    <Link to="/cohorts">Voter cohorts →</Link>
+                    <Link to={`/compare?proposals=${proposals.slice(0, 2).map((p) => p.id).join(',')}`}>Compare proposals →</Link>
+                  </div>
+              )}
+            </div>
+            <ProposalSelector />
+          </CardContent>
+        </Card>
+
+        {activeProposal && (
+            <div className="flex flex-wrap gap-3 items-center">
+              <div className="text-lg font-semibold">Proposal #{activeProposal}</div>
+              {at != null && <span className="text-sm font-semibold text-amber-700">as of {formatTimestamp(at)}</span>}
+              <div className="ml-auto flex gap-2 items-center">
+                <span className="text-sm text-gray-500">
+                  {view === 'effective'
+                    ? `Latest vote per voter and source (${thousands(stats.supersededVotes)} superseded votes excluded)`
+                    : `Every vote event (${thousands(stats.events)})`}
+                </span>
+                <Button onClick={() => setView('effective')} disabled={view === 'effective'}>Effective votes</Button>
+                <Button onClick={() => setView('raw')} disabled={view === 'raw'}>Raw events</Button>
+              </div>
+              <ProposalDetails meta={metadata[activeProposal]} />
             </div>
         )}
 
+        {activeProposalInfo && <SnapshotPicker proposal={activeProposalInfo} at={at} onChange={setAt} />}
+
+        <div className="flex flex-wrap gap-2 items-center">
+          <span className="text-sm text-gray-500">Split options:</span>
+          {SPLITS.map(([value, text]) => (
+              <Button key={value} onClick={() => setSplit(value)} disabled={split === value}>{text}</Button>
+          ))}
+        </div>
+
         <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-5 gap-4">{optionCards}</div>
 
+        <OutcomePanel byOption={stats.byOption} totalPower={stats.totalPower} />
+
         <Card className="rounded-2xl">
           <CardContent className="p-4 grid grid-cols-1 lg:grid-cols-2 gap-6">
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 items-start">
               <div className="h-80">
                 <div className="text-sm mb-2 font-medium">Voting Options (by voting power)</div>
-                <ResponsiveContainer width="100%" height="100%">
-                  <PieChart>
-                    <Pie data={stats.pieDataOptions} dataKey="value" nameKey="name" labelLine label={PercentLabel} outerRadius={120}>
-                      {stats.pieDataOptions.map((entry) => (
-                          <Cell key={entry.name} fill={COLORS[entry.name] || '#60a5fa'} />
-                      ))}
-                    </Pie>
-                    <Tooltip formatter={(v) => [valueFormatter(v), 'Power']} />
-                    <Legend />
-                  </PieChart>
-                </ResponsiveContainer>
+                <OptionPie rows={stats.pieDataOptions} mode="power" label={PercentLabel} />
               </div>
-              <ChartTable rows={stats.pieDataOptions} mode="power" />
+              <ChartTable
+                  rows={split === 'none' ? stats.pieDataOptions : splitRows('power')}
+                  mode="power"
+                  filename={split === 'none' ? 'options-power' : `options-power-${split}`}
+              />
             </div>
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 items-start">
               <div className="h-80">
                 <div className="text-sm mb-2 font-medium">Delegated Votes by Source (by voting power)</div>
                 <ResponsiveContainer width="100%" height="100%">
                   <PieChart>
-                    <Pie data={stats.pieDelegation} dataKey="value" nameKey="name" labelLine label={PercentLabel} outerRadius={120}>
+                    <Pie
+                        data={stats.pieDelegation}
+                        dataKey="value"
+                        nameKey="name"
+                        labelLine
+                        label={PercentLabel}
+                        outerRadius={120}
+                        cursor="pointer"
+                        onClick={(entry) => setDelegationSource(entry.name)}
+                    >
                       {stats.pieDelegation.map((_, idx) => (
                           <Cell key={idx} fill={COLORS.default[idx % COLORS.default.length]} />
                       ))}
@@ -499,7 +585,7 @@ export default function GovernanceDashboard() {
                   </PieChart>
                 </ResponsiveContainer>
               </div>
-              <ChartTable rows={stats.pieDelegation} mode="power" />
+              <ChartTable rows={stats.pieDelegation} mode="power" filename="delegation-power" onSelect={setDelegationSource} />
             </div>
           </CardContent>
         </Card>
@@ -509,26 +595,29 @@ export default function GovernanceDashboard() {
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 items-start">
               <div className="h-80">
                 <div className="text-sm mb-2 font-medium">Voting Options (by number of votes)</div>
-                <ResponsiveContainer width="100%" height="100%">
-                  <PieChart>
-                    <Pie data={stats.pieDataOptionsCount} dataKey="value" nameKey="name" labelLine label={ValueLabelVotes} outerRadius={120}>
-                      {stats.pieDataOptionsCount.map((entry) => (
-                          <Cell key={entry.name} fill={COLORS[entry.name] || '#60a5fa'} />
-                      ))}
-                    </Pie>
-                    <Tooltip formatter={(v) => [valueFormatterVotes(v), 'Votes']} />
-                    <Legend />
-                  </PieChart>
-                </ResponsiveContainer>
+                <OptionPie rows={stats.pieDataOptionsCount} mode="votes" label={ValueLabelVotes} />
               </div>
-              <ChartTable rows={stats.pieDataOptionsCount} mode="votes" />
+              <ChartTable
+                  rows={split === 'none' ? stats.pieDataOptionsCount : splitRows('votes')}
+                  mode="votes"
+                  filename={split === 'none' ? 'options-votes' : `options-votes-${split}`}
+              />
             </div>
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 items-start">
               <div className="h-80">
                 <div className="text-sm mb-2 font-medium">Delegated Votes by Source (by number of votes)</div>
                 <ResponsiveContainer width="100%" height="100%">
                   <PieChart>
-                    <Pie data={stats.pieDelegationCount} dataKey="value" nameKey="name" labelLine label={ValueLabelVotes} outerRadius={120}>
+                    <Pie
+                        data={stats.pieDelegationCount}
+                        dataKey="value"
+                        nameKey="name"
+                        labelLine
+                        label={ValueLabelVotes}
+                        outerRadius={120}
+                        cursor="pointer"
+                        onClick={(entry) => setDelegationSource(entry.name)}
+                    >
                       {stats.pieDelegationCount.map((_, idx) => (
                           <Cell key={idx} fill={COLORS.default[idx % COLORS.default.length]} />
                       ))}
@@ -538,36 +627,73 @@ export default function GovernanceDashboard() {
                   </PieChart>
                 </ResponsiveContainer>
               </div>
-              <ChartTable rows={stats.pieDelegationCount} mode="votes" />
+              <ChartTable rows={stats.pieDelegationCount} mode="votes" filename="delegation-votes" onSelect={setDelegationSource} />
             </div>
           </CardContent>
         </Card>
 
+        {activeProposal && (
+            <DelegationDrilldown
+                proposal={activeProposal}
+                view={view}
+                at={at}
+                refreshKey={refreshKey}
+                source={delegationSource}
+                onSelectSource={setDelegationSource}
+            />
+        )}
+
+        {activeProposal && <VotingTimeline proposal={activeProposal} view={view} at={at} refreshKey={refreshKey} />}
+
+        {activeProposal && <VoteChanges proposal={activeProposal} at={at} refreshKey={refreshKey} />}
+
+        {activeProposal && <ConcentrationPanel proposal={activeProposal} view={view} at={at} refreshKey={refreshKey} />}
+
+        {activeProposal && <StakePowerPanel proposal={activeProposal} view={view} at={at} refreshKey={refreshKey} />}
+
+        <DelegationSources refreshKey={refreshKey} />
+
         <Card className="rounded-2xl">
           <CardContent className="p-4">
             <div className="text-sm text-gray-500">Total Voting Power</div>
             <div className="text-2xl font-semibold">{formatEgld(stats.totalPower)}</div>
             <div className="mt-2 text-sm text-gray-500">Total Votes</div>
-            <div className="text-xl font-semibold">{(
-                stats.byOption.yes.count +
-                stats.byOption.no.count +
-                stats.byOption.abstain.count +
-                stats.byOption.veto.count +
-                stats.byOption.unknown.count
-            ).toLocaleString()}</div>
+            <div className="text-xl font-semibold">{stats.totalVotes.toLocaleString()}</div>
           </CardContent>
         </Card>
 
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-          <Card className="rounded-2xl"><CardContent className="p-4"><div className="text-lg font-semibold mb-3">YES — Top voters by power</div><Table rows={stats.lists.yes} /></CardContent></Card>
-          <Card className="rounded-2xl"><CardContent className="p-4"><div className="text-lg font-semibold mb-3">NO — Top voters by power</div><Table rows={stats.lists.no} /></CardContent></Card>
-          <Card className="rounded-2xl"><CardContent className="p-4"><div className="text-lg font-semibold mb-3">ABSTAIN — Top voters by power</div><Table rows={stats.lists.abstain} /></CardContent></Card>
-          <Card className="rounded-2xl"><CardContent className="p-4"><div className="text-lg font-semibold mb-3">VETO — Top voters by power</div><Table rows={stats.lists.veto} /></CardContent></Card>
+          <Card className="rounded-2xl"><CardContent className="p-4"><div className="text-lg font-semibold mb-3">YES — Top voters by power</div><Table rows={stats.lists.yes} option="yes" /></CardContent></Card>
+          <Card className="rounded-2xl"><CardContent className="p-4"><div className="text-lg font-semibold mb-3">NO — Top voters by power</div><Table rows={stats.lists.no} option="no" /></CardContent></Card>
+          <Card className="rounded-2xl"><CardContent className="p-4"><div className="text-lg font-semibold mb-3">ABSTAIN — Top voters by power</div><Table rows={stats.lists.abstain} option="abstain" /></CardContent></Card>
+          <Card className="rounded-2xl"><CardContent className="p-4"><div className="text-lg font-semibold mb-3">VETO — Top voters by power</div><Table rows={stats.lists.veto} option="veto" /></CardContent></Card>
         </div>
 
         <div className="text-xs text-gray-500">
-          Notes: Direct `vote` events use `_source.address` as the voter. Delegated votes decode voter from `topics[2]`. Amounts assume 18 decimals. Server cache TTL: 60s.
+          Notes: Direct `vote` events use `_source.address` as the voter. Delegated votes decode voter from `topics[2]`. Amounts assume 18 decimals. The API server polls ES for new events and pushes them to the dashboard as they arrive.
         </div>
       </div>
   )
 }
+
+const ADDRESS_ROUTE = /^\/address\/([^/]+)\/?$/
+const COMPARE_ROUTE = /^\/compare\/?$/
+const COHORTS_ROUTE = /^\/cohorts\/?$/
+
+// A malformed escape is kept as typed, so the profile reports it as an invalid address
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment)
+  } catch {
+    return segment
+  }
+}
+
+export default function App() {
+  const path = usePath()
+  const addressMatch = path.match(ADDRESS_ROUTE)
+  if (addressMatch) return <AddressProfile address={decodeSegment(addressMatch[1])} />
+  if (COMPARE_ROUTE.test(path)) return <ComparePage />
+  if (COHORTS_ROUTE.test(path)) return <CohortsPage />
+  return <GovernanceDashboard />
+}
@@ -0,0 +1,178 @@
+import React, { useEffect, useState } from 'react'
+import { ComposedChart, BarChart, Bar, Line, XAxis, YAxis, CartesianGrid, ResponsiveContainer, Tooltip, Legend } from 'recharts'
+import { Card, CardContent } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { formatBps, formatEgld, thousands } from '@/lib/format'
+import { fetchCohorts } from '@/api'
+import { loadGovernanceParams } from '@/OutcomePanel'
+import { COLORS } from '@/colors'
+import { Link, addressPath } from '@/router'
+
+const VoterTable = ({ rows }) => {
+  const [expanded, setExpanded] = useState(false)
+  const visible = expanded ? rows : rows.slice(0, 10)
+  return (
+      <div className="overflow-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+          <tr className="text-left border-b">
+            <th className="py-2 pr-4">Address</th>
+            <th className="py-2 pr-4">Proposals</th>
+            <th className="py-2 pr-4">With outcome</th>
+            <th className="py-2 pr-4">Latest Vote Power</th>
+          </tr>
+          </thead>
+          <tbody>
+          {visible.map((v) => (
+              <tr key={v.address} className="border-b hover:bg-gray-50">
+                <td className="py-2 pr-4 font-mono">
+                  {v.address.startsWith('erd1') ? <Link to={addressPath(v.address)}>{v.address}</Link> : v.address}
+                </td>
+                <td className="py-2 pr-4">{thousands(v.proposals)}</td>
+                <td className="py-2 pr-4">{thousands(v.alignedWith)}</td>
+                <td className="py-2 pr-4">{formatEgld(BigInt(v.latestPower))}</td>
+              </tr>
+          ))}
+          </tbody>
+        </table>
+        {rows.length > 10 && (
+            <div className="mt-3">
+              <Button variant="outline" onClick={() => setExpanded((v) => !v)}>
+                {expanded ? 'See less' : 'See more'}
+              </Button>
+            </div>
+        )}
+      </div>
+  )
+}
+
+// Who keeps voting: first-time vs returning voters, retention and loyalty across all proposals
+export default function CohortsPage() {
+  const [view, setView] = useState('effective')
+  const [data, setData] = useState(null)
+  const [error, setError] = useState(null)
+  const { passThresholdPct, vetoThresholdPct } = loadGovernanceParams()
+
+  useEffect(() => {
+    let cancelled = false
+    setError(null)
+    fetchCohorts({ view, passThresholdPct, vetoThresholdPct })
+      .then((d) => !cancelled && setData(d))
+      .catch((e) => !cancelled && setError(e?.message ?? 'Failed to load'))
+    return () => {
+      cancelled = true
+    }
+  }, [view, passThresholdPct, vetoThresholdPct])
+
+  const cohortRows = (data?.proposals ?? []).map((p) => ({
+    name: `#${p.id}`,
+    firstTime: p.firstTime,
+    returning: p.returning,
+    retention: p.retentionBps == null ? null : Number(p.retentionBps) / 100,
+  }))
+
+  return (
+      <div className="p-6 space-y-6">
+        <Link to="/" className="text-sm">← Back to dashboard</Link>
+        <div className="flex flex-wrap gap-2 items-center">
+          <div className="text-3xl font-bold">Voter cohorts</div>
+          <div className="ml-auto flex gap-2">
+            <Button onClick={() => setView('effective')} disabled={view === 'effective'}>Effective votes</Button>
+            <Button onClick={() => setView('raw')} disabled={view === 'raw'}>Raw events</Button>
+          </div>
+        </div>
+
+        {error && <div className="text-red-600">Error fetching cohorts: {error}</div>}
+
+        {data && (
+            <Card className="rounded-2xl">
+              <CardContent className="p-4 grid grid-cols-1 lg:grid-cols-2 gap-6">
+                <div className="h-80">
+                  <div className="text-sm mb-2 font-medium">First-time vs returning voters, and retention from the previous proposal</div>
+                  <ResponsiveContainer width="100%" height="100%">
+                    <ComposedChart data={cohortRows}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="name" tick={{ fontSize: 11 }} />
+                      <YAxis yAxisId="voters" tick={{ fontSize: 11 }} tickFormatter={(v) => thousands(v)} />
+                      <YAxis yAxisId="retention" orientation="right" domain={[0, 100]} tick={{ fontSize: 11 }} tickFormatter={(v) => `${v}%`} />
+                      <Tooltip formatter={(v, name) => [name === 'Retention' ? `${v.toFixed(2)}%` : thousands(v), name]} />
+                      <Legend />
+                      <Bar yAxisId="voters" dataKey="firstTime" name="First-time" stackId="voters" fill={COLORS.default[0]} />
+                      <Bar yAxisId="voters" dataKey="returning" name="Returning" stackId="voters" fill={COLORS.default[1]} />
+                      <Line yAxisId="retention" dataKey="retention" name="Retention" stroke={COLORS.default[4]} connectNulls />
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                </div>
+                <div className="h-80">
+                  <div className="text-sm mb-2 font-medium">Voters by number of proposals voted on ({thousands(data.totalVoters)} voters)</div>
+                  <ResponsiveContainer width="100%" height="100%">
+                    <BarChart data={data.distribution}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="proposals" tick={{ fontSize: 11 }} />
+                      <YAxis tick={{ fontSize: 11 }} tickFormatter={(v) => thousands(v)} />
+                      <Tooltip formatter={(v) => [thousands(v), 'Voters']} labelFormatter={(v) => `${v} proposal${v === 1 ? '' : 's'}`} />
+                      <Bar dataKey="voters" name="Voters" fill={COLORS.default[0]} />
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+              </CardContent>
+            </Card>
+        )}
+
+        {data && (
+            <Card className="rounded-2xl">
+              <CardContent className="p-4">
+                <div className="text-lg font-semibold mb-3">Per proposal</div>
+                <div className="overflow-auto">
+                  <table className="min-w-full text-sm">
+                    <thead>
+                    <tr className="text-left border-b">
+                      <th className="py-2 pr-4">Proposal</th>
+                      <th className="py-2 pr-4">Voters</th>
+                      <th className="py-2 pr-4">First-time</th>
+                      <th className="py-2 pr-4">Returning</th>
+                      <th className="py-2 pr-4">Retained from previous</th>
+                      <th className="py-2 pr-4">Winning option</th>
+                    </tr>
+                    </thead>
+                    <tbody>
+                    {data.proposals.map((p) => (
+                        <tr key={p.id} className="border-b hover:bg-gray-50">
+                          <td className="py-2 pr-4"><Link to={`/?proposal=${p.id}`}>#{p.id}</Link></td>
+                          <td className="py-2 pr-4">{thousands(p.voters)}</td>
+                          <td className="py-2 pr-4">{thousands(p.firstTime)}</td>
+                          <td className="py-2 pr-4">{thousands(p.returning)}</td>
+                          <td className="py-2 pr-4">{p.retained == null ? '—' : `${thousands(p.retained)} (${formatBps(p.retentionBps)})`}</td>
+                          <td className="py-2 pr-4 uppercase">{p.winningOption ?? '—'}</td>
+                        </tr>
+                    ))}
+                    </tbody>
+                  </table>
+                </div>
+              </CardContent>
+            </Card>
+        )}
+
+        {data && (
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <Card className="rounded-2xl">
+                <CardContent className="p-4">
+                  <div className="text-lg font-semibold mb-3">Always with the outcome ({thousands(data.alignedVoters)})</div>
+                  <div className="text-sm text-gray-500 mb-3">
+                    Voted on two or more proposals and always picked the winning option (yes if passing, no if failing, veto if vetoed;
+                    pass threshold {passThresholdPct}%, veto threshold {vetoThresholdPct}% as set in the Outcome panel).
+                  </div>
+                  <VoterTable rows={data.aligned} />
+                </CardContent>
+              </Card>
+              <Card className="rounded-2xl">
+                <CardContent className="p-4">
+                  <div className="text-lg font-semibold mb-3">Most proposals voted on</div>
+                  <VoterTable rows={data.loyal} />
+                </CardContent>
+              </Card>
+            </div>
+        )}
+      </div>
+  )
+}
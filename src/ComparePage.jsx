@@ -0,0 +1,210 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, ResponsiveContainer, Tooltip, Legend } from 'recharts'
+import { Card, CardContent } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { OPTIONS } from '@/lib/decode'
+import { formatBps, formatEgld, formatTimestamp, parseEgld, thousands } from '@/lib/format'
+import { ratioBps } from '@/lib/outcome'
+import { fetchComparison, fetchProposals } from '@/api'
+import { loadGovernanceParams } from '@/OutcomePanel'
+import { COLORS } from '@/colors'
+import { Link, addressPath } from '@/router'
+
+// --- URL state ---
+const PROPOSALS_PARAM = 'proposals'
+
+const readSelection = () => (new URLSearchParams(window.location.search).get(PROPOSALS_PARAM) ?? '').split(',').filter(Boolean)
+
+const writeSelection = (ids) => {
+  const url = new URL(window.location.href)
+  if (ids.length) url.searchParams.set(PROPOSALS_PARAM, ids.join(','))
+  else url.searchParams.delete(PROPOSALS_PARAM)
+  window.history.replaceState(null, '', url)
+}
+
+const toProposal = (p) => ({
+  ...p,
+  totalPower: BigInt(p.totalPower),
+  directPower: BigInt(p.directPower),
+  delegatedPower: BigInt(p.delegatedPower),
+  byOption: Object.fromEntries(OPTIONS.map((o) => [o, { count: p.byOption[o].count, power: BigInt(p.byOption[o].power) }])),
+})
+
+// Pick two or more proposals and compare their turnout, results and voters side by side
+export default function ComparePage() {
+  // null until the list has loaded, so an empty list is not mistaken for one still on its way
+  const [proposals, setProposals] = useState(null)
+  const [selected, setSelected] = useState(readSelection)
+  const [view, setView] = useState('effective')
+  const [data, setData] = useState(null)
+  const [error, setError] = useState(null)
+  const [expanded, setExpanded] = useState(false)
+
+  useEffect(() => {
+    fetchProposals()
+      .then((d) => setProposals(d.proposals ?? []))
+      .catch((e) => setError(e?.message ?? 'Failed to load'))
+  }, [])
+
+  useEffect(() => {
+    writeSelection(selected)
+    if (selected.length < 2) {
+      setData(null)
+      return undefined
+    }
+    let cancelled = false
+    setError(null)
+    fetchComparison(selected, view)
+      .then((d) => !cancelled && setData(d))
+      .catch((e) => !cancelled && setError(e?.message ?? 'Failed to load'))
+    return () => {
+      cancelled = true
+    }
+  }, [selected, view])
+
+  // Keep the columns in proposal order (newest first), whatever order they were picked in; without
+  // the list there is no order to follow, and filtering by it would drop the whole selection
+  const toggle = (id) =>
+    setSelected((prev) => {
+      const next = prev.includes(id) ? prev.filter((p) => p !== id) : [...prev, id]
+      return proposals ? proposals.map((p) => p.id).filter((p) => next.includes(p)) : next
+    })
+
+  const totalStaked = parseEgld(loadGovernanceParams().totalStaked)
+  const compared = useMemo(() => (data?.proposals ?? []).map(toProposal), [data])
+  const shareRows = compared.map((p) => ({
+    name: `#${p.id}`,
+    ...Object.fromEntries(OPTIONS.map((o) => [o, Number(ratioBps(p.byOption[o].power, p.totalPower) ?? 0n) / 100])),
+  }))
+
+  const rows = [
+    ['Total voting power', (p) => formatEgld(p.totalPower)],
+    ['Participation', (p) => (totalStaked ? formatBps(ratioBps(p.totalPower, totalStaked)) : '—')],
+    ['Votes', (p) => thousands(p.totalVotes)],
+    ['Unique voters', (p) => thousands(p.uniqueVoters)],
+    ...OPTIONS.map((o) => [`${o.toUpperCase()} share`, (p) => formatBps(ratioBps(p.byOption[o].power, p.totalPower))]),
+    ['Direct share', (p) => formatBps(ratioBps(p.directPower, p.totalPower))],
+    ['Delegated share', (p) => formatBps(ratioBps(p.delegatedPower, p.totalPower))],
+  ]
+  const divergent = data?.divergent ?? []
+  const visibleDivergent = expanded ? divergent : divergent.slice(0, 20)
+
+  return (
+      <div className="p-6 space-y-6">
+        <Link to="/" className="text-sm">← Back to dashboard</Link>
+        <div className="text-3xl font-bold">Compare proposals</div>
+
+        <Card className="rounded-2xl">
+          <CardContent className="p-4">
+            <div className="flex flex-wrap gap-2 items-center mb-3">
+              <div className="text-lg font-semibold">Proposals</div>
+              <div className="text-sm text-gray-500">Pick two or more</div>
+              <div className="ml-auto flex gap-2">
+                <Button onClick={() => setView('effective')} disabled={view === 'effective'}>Effective votes</Button>
+                <Button onClick={() => setView('raw')} disabled={view === 'raw'}>Raw events</Button>
+              </div>
+            </div>
+            <div className="flex flex-wrap gap-3">
+              {!proposals && !error && <div className="text-sm text-gray-500">Loading…</div>}
+              {proposals?.length === 0 && <div className="text-sm text-gray-500">No proposals have been voted on yet.</div>}
+              {proposals?.map((p) => (
+                  <label key={p.id} className="text-sm cursor-pointer" title={`${formatTimestamp(p.firstVote)} – ${formatTimestamp(p.lastVote)}`}>
+                    <input type="checkbox" checked={selected.includes(p.id)} onChange={() => toggle(p.id)} /> #{p.id}
+                  </label>
+              ))}
+            </div>
+          </CardContent>
+        </Card>
+
+        {error && <div className="text-red-600">Error fetching comparison: {error}</div>}
+
+        {!!compared.length && (
+            <Card className="rounded-2xl">
+              <CardContent className="p-4 grid grid-cols-1 lg:grid-cols-2 gap-6">
+                <div className="overflow-auto">
+                  <table className="min-w-full text-sm">
+                    <thead>
+                    <tr className="text-left border-b">
+                      <th className="py-2 pr-4" />
+                      {compared.map((p) => (
+                          <th key={p.id} className="py-2 pr-4"><Link to={`/?proposal=${p.id}`}>#{p.id}</Link></th>
+                      ))}
+                    </tr>
+                    </thead>
+                    <tbody>
+                    {rows.map(([label, value]) => (
+                        <tr key={label} className="border-b hover:bg-gray-50">
+                          <td className="py-2 pr-4 text-gray-600">{label}</td>
+                          {compared.map((p) => <td key={p.id} className="py-2 pr-4">{value(p)}</td>)}
+                        </tr>
+                    ))}
+                    </tbody>
+                  </table>
+                  {!totalStaked && (
+                      <div className="mt-1 text-xs text-gray-500">Set the total staked supply in the dashboard's Outcome panel to see participation.</div>
+                  )}
+                </div>
+                <div className="h-80">
+                  <div className="text-sm mb-2 font-medium">Option shares (by voting power)</div>
+                  <ResponsiveContainer width="100%" height="100%">
+                    <BarChart data={shareRows}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="name" tick={{ fontSize: 11 }} />
+                      <YAxis domain={[0, 100]} tick={{ fontSize: 11 }} tickFormatter={(v) => `${v}%`} />
+                      <Tooltip formatter={(v, name) => [`${v.toFixed(2)}%`, name]} />
+                      <Legend />
+                      {OPTIONS.map((o) => <Bar key={o} dataKey={o} name={o} stackId="shares" fill={COLORS[o]} />)}
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+              </CardContent>
+            </Card>
+        )}
+
+        {data && (
+            <Card className="rounded-2xl">
+              <CardContent className="p-4">
+                <div className="text-lg font-semibold mb-3">Voted differently ({thousands(data.divergentVoters)})</div>
+                <div className="text-sm text-gray-500 mb-3">
+                  Voters of at least two of these proposals whose choice differs. A voter's choice is the option carrying most of their power on that proposal.
+                </div>
+                {!!divergent.length && (
+                    <div className="overflow-auto">
+                      <table className="min-w-full text-sm">
+                        <thead>
+                        <tr className="text-left border-b">
+                          <th className="py-2 pr-4">Address</th>
+                          {compared.map((p) => <th key={p.id} className="py-2 pr-4">#{p.id}</th>)}
+                          <th className="py-2 pr-4">Vote Power</th>
+                        </tr>
+                        </thead>
+                        <tbody>
+                        {visibleDivergent.map((d) => (
+                            <tr key={d.address} className="border-b hover:bg-gray-50">
+                              <td className="py-2 pr-4 font-mono">
+                                {d.address.startsWith('erd1') ? <Link to={addressPath(d.address)}>{d.address}</Link> : d.address}
+                              </td>
+                              {compared.map((p) => <td key={p.id} className="py-2 pr-4 uppercase">{d.options[p.id] ?? '—'}</td>)}
+                              <td className="py-2 pr-4">{formatEgld(BigInt(d.power))}</td>
+                            </tr>
+                        ))}
+                        </tbody>
+                      </table>
+                    </div>
+                )}
+                {divergent.length > 20 && (
+                    <div className="mt-3">
+                      <Button variant="outline" onClick={() => setExpanded((v) => !v)}>
+                        {expanded ? 'See less' : 'See more'}
+                      </Button>
+                    </div>
+                )}
+                {data.divergentVoters > divergent.length && (
+                    <div className="mt-1 text-xs text-gray-500">Showing the {thousands(divergent.length)} voters with the most power.</div>
+                )}
+              </CardContent>
+            </Card>
+        )}
+      </div>
+  )
+}
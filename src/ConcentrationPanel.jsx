@@ -0,0 +1,83 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, ResponsiveContainer, Tooltip, Legend } from 'recharts'
+import { Card, CardContent } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { OPTIONS } from '@/lib/decode'
+import { formatBps, thousands } from '@/lib/format'
+import { fetchConcentration } from '@/api'
+import { COLORS } from '@/colors'
+import Metric from '@/Metric'
+
+const formatGini = (bps) => (bps == null ? '—' : (Number(bps) / 10_000).toFixed(4))
+const formatHhi = (hhi) => (hhi == null ? '—' : thousands(hhi))
+
+// How concentrated the voting power is, for the whole proposal or one option
+export default function ConcentrationPanel({ proposal, view, at, refreshKey }) {
+  const [scope, setScope] = useState('overall')
+  const [data, setData] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    setError(null)
+    fetchConcentration(proposal, view, at)
+      .then((d) => !cancelled && setData(d))
+      .catch((e) => !cancelled && setError(e?.message ?? 'Failed to load'))
+    return () => {
+      cancelled = true
+    }
+  }, [proposal, view, at, refreshKey])
+
+  // Options nobody voted for have nothing to measure; fall back to all options when switching proposals
+  const scopes = ['overall', ...OPTIONS.filter((o) => data?.byOption?.[o]?.voters)]
+  const active = scopes.includes(scope) ? scope : 'overall'
+  const m = active === 'overall' ? data?.overall : data?.byOption?.[active]
+  const lorenz = useMemo(
+    () => (m?.lorenz ?? []).map((p) => ({ voters: Number(p.votersBps) / 100, power: Number(p.powerBps) / 100, equality: Number(p.votersBps) / 100 })),
+    [m],
+  )
+
+  return (
+      <Card className="rounded-2xl">
+        <CardContent className="p-4">
+          <div className="flex flex-wrap gap-2 items-center mb-3">
+            <div className="text-lg font-semibold">Vote concentration</div>
+            <div className="ml-auto flex gap-2">
+              {scopes.map((s) => (
+                  <Button key={s} onClick={() => setScope(s)} disabled={active === s}>
+                    {s === 'overall' ? 'All options' : s.toUpperCase()}
+                  </Button>
+              ))}
+            </div>
+          </div>
+          {error && <div className="text-red-600">Error fetching concentration metrics: {error}</div>}
+          {m && (
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <Metric label="Voters" value={thousands(m.voters)} />
+                  <Metric label="Nakamoto coefficient" value={m.nakamoto ?? '—'} hint="Fewest voters holding a majority of the power" />
+                  <Metric label="Gini coefficient" value={formatGini(m.giniBps)} hint="0 = equal power, 1 = one voter holds everything" />
+                  <Metric label="HHI" value={formatHhi(m.hhi)} hint="Sum of squared shares, 0–10,000" />
+                  <Metric label="Top 10 share" value={formatBps(m.top10ShareBps)} />
+                  <Metric label="Top 100 share" value={formatBps(m.top100ShareBps)} />
+                </div>
+                <div className="h-80">
+                  <div className="text-sm mb-2 font-medium">Lorenz curve</div>
+                  <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={lorenz}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="voters" type="number" domain={[0, 100]} tick={{ fontSize: 11 }} tickFormatter={(v) => `${v}%`} />
+                      <YAxis domain={[0, 100]} tick={{ fontSize: 11 }} tickFormatter={(v) => `${v}%`} />
+                      <Tooltip formatter={(v, name) => [`${v.toFixed(2)}%`, name]} labelFormatter={(v) => `Smallest ${v.toFixed(2)}% of voters`} />
+                      <Legend />
+                      <Line dataKey="power" name="Share of power" stroke={COLORS[active] ?? COLORS.default[0]} dot={false} />
+                      <Line dataKey="equality" name="Equal distribution" stroke="#94a3b8" strokeDasharray="4 4" dot={false} />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+          )}
+        </CardContent>
+      </Card>
+  )
+}
@@ -0,0 +1,168 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, ResponsiveContainer, Tooltip, Legend } from 'recharts'
+import { Card, CardContent } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { OPTIONS } from '@/lib/decode'
+import { formatEgld, formatNumber, thousands, toEgldNumber } from '@/lib/format'
+import { fetchDelegationBreakdown, fetchDelegators } from '@/api'
+import { COLORS } from '@/colors'
+import { Link, addressPath } from '@/router'
+
+const shortAddress = (address) => `${address.slice(0, 10)}…${address.slice(-6)}`
+
+// Every delegator who voted through one source, loaded page by page
+function DelegatorTable({ proposal, view, at, refreshKey, source }) {
+  const [pages, setPages] = useState([])
+  const [total, setTotal] = useState(0)
+  const [contracts, setContracts] = useState([])
+  const [error, setError] = useState(null)
+  const [loadingMore, setLoadingMore] = useState(false)
+  // Bumped for every new listing, so a page still loading for the previous one is dropped
+  const generation = useRef(0)
+
+  useEffect(() => {
+    let cancelled = false
+    generation.current += 1
+    setError(null)
+    setPages([])
+    setTotal(0)
+    setContracts([])
+    setLoadingMore(false)
+    fetchDelegators(proposal, source, { view, at })
+      .then((d) => {
+        if (cancelled) return
+        setPages([d.delegators])
+        setTotal(d.total)
+        setContracts(d.contracts)
+      })
+      .catch((e) => !cancelled && setError(e?.message ?? 'Failed to load'))
+    return () => {
+      cancelled = true
+    }
+  }, [proposal, view, at, refreshKey, source])
+
+  const rows = pages.flat()
+  const loadMore = () => {
+    const current = generation.current
+    setLoadingMore(true)
+    fetchDelegators(proposal, source, { view, at, offset: rows.length })
+      .then((d) => current === generation.current && setPages((p) => [...p, d.delegators]))
+      .catch((e) => current === generation.current && setError(e?.message ?? 'Failed to load'))
+      .finally(() => current === generation.current && setLoadingMore(false))
+  }
+
+  // Only the options someone picked through this source get a column
+  const options = OPTIONS.filter((o) => rows.some((r) => BigInt(r.byOption[o]) > 0n))
+
+  return (
+      <div className="overflow-auto">
+        <div className="text-sm text-gray-500 mb-2">
+          {thousands(total)} delegators voted through {source}
+          {contracts.length > 1 && ` (${contracts.length} contracts)`}
+        </div>
+        {error && <div className="text-red-600">Error fetching delegators: {error}</div>}
+        <table className="min-w-full text-sm">
+          <thead>
+          <tr className="text-left border-b">
+            <th className="py-2 pr-4">Delegator</th>
+            {contracts.length > 1 && <th className="py-2 pr-4">Contract</th>}
+            {options.map((o) => <th key={o} className="py-2 pr-4 uppercase">{o}</th>)}
+            <th className="py-2 pr-4">Stake</th>
+            <th className="py-2 pr-4">Vote Power</th>
+          </tr>
+          </thead>
+          <tbody>
+          {rows.map((r) => (
+              <tr key={`${r.address}|${r.contract}`} className="border-b hover:bg-gray-50">
+                <td className="py-2 pr-4 font-mono">
+                  {r.address.startsWith('erd1') ? <Link to={addressPath(r.address)}>{r.address}</Link> : r.address}
+                </td>
+                {contracts.length > 1 && <td className="py-2 pr-4 font-mono" title={r.contract}>{shortAddress(r.contract)}</td>}
+                {options.map((o) => (
+                    <td key={o} className="py-2 pr-4">{BigInt(r.byOption[o]) > 0n ? formatEgld(BigInt(r.byOption[o])) : '—'}</td>
+                ))}
+                <td className="py-2 pr-4">{formatEgld(BigInt(r.stake))}</td>
+                <td className="py-2 pr-4 font-medium">{formatEgld(BigInt(r.power))}</td>
+              </tr>
+          ))}
+          </tbody>
+        </table>
+        {rows.length < total && (
+            <div className="mt-3">
+              <Button variant="outline" onClick={loadMore} disabled={loadingMore}>
+                {loadingMore ? 'Loading…' : 'See more'}
+              </Button>
+            </div>
+        )}
+      </div>
+  )
+}
+
+// Option split per delegation source (share of each source's power) and a drill-down into the
+// delegators of the selected source
+export default function DelegationDrilldown({ proposal, view, at, refreshKey, source, onSelectSource }) {
+  const [sources, setSources] = useState([])
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    setError(null)
+    fetchDelegationBreakdown(proposal, view, at)
+      .then((d) => !cancelled && setSources(d.sources))
+      .catch((e) => !cancelled && setError(e?.message ?? 'Failed to load'))
+    return () => {
+      cancelled = true
+    }
+  }, [proposal, view, at, refreshKey])
+
+  const rows = useMemo(
+    () =>
+      sources.map((s) => ({
+        name: s.name,
+        ...Object.fromEntries(OPTIONS.map((o) => [o, toEgldNumber(BigInt(s.byOption[o].power))])),
+      })),
+    [sources],
+  )
+  const options = OPTIONS.filter((o) => rows.some((r) => r[o] > 0))
+  const selected = sources.some((s) => s.name === source) ? source : null
+
+  return (
+      <Card className="rounded-2xl">
+        <CardContent className="p-4">
+          <div className="text-lg font-semibold mb-3">Delegated votes by source and option</div>
+          {error && <div className="text-red-600">Error fetching the delegation breakdown: {error}</div>}
+          {!sources.length && !error && <div className="text-sm text-gray-500">No delegated votes on this proposal.</div>}
+          {!!sources.length && (
+              <div>
+                <div className="h-72">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <BarChart data={rows} stackOffset="expand" onClick={(e) => e?.activeLabel && onSelectSource(e.activeLabel)}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="name" tick={{ fontSize: 11 }} />
+                      <YAxis tick={{ fontSize: 11 }} tickFormatter={(v) => `${Math.round(v * 100)}%`} />
+                      <Tooltip formatter={(v, name) => [`${formatNumber(v, 2)} EGLD`, name]} />
+                      <Legend />
+                      {options.map((o) => (
+                          <Bar key={o} dataKey={o} stackId="options" fill={COLORS[o] || '#60a5fa'} cursor="pointer" />
+                      ))}
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+                <div className="flex flex-wrap gap-2 items-center my-3">
+                  <span className="text-sm text-gray-500">Delegators of:</span>
+                  {sources.map((s) => (
+                      <Button key={s.name} onClick={() => onSelectSource(s.name)} disabled={s.name === selected}>
+                        {s.logo && <img src={s.logo} alt="" className="logo" />}
+                        {s.name} ({thousands(s.delegators)})
+                      </Button>
+                  ))}
+                </div>
+                {selected
+                  ? <DelegatorTable proposal={proposal} view={view} at={at} refreshKey={refreshKey} source={selected} />
+                  : <div className="text-sm text-gray-500">Pick a source, a bar or a slice of the delegation pies to list its delegators.</div>}
+              </div>
+          )}
+        </CardContent>
+      </Card>
+  )
+}
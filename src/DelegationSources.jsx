@@ -0,0 +1,83 @@
+import React, { useEffect, useState } from 'react'
+import { Card, CardContent } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { formatEgld, thousands } from '@/lib/format'
+import { fetchDelegations } from '@/api'
+
+// Auto-discovery of delegation contracts: every contract that relayed delegated votes, with the
+// unlabeled ones first so they can be added to the registry file.
+export default function DelegationSources({ refreshKey }) {
+  const [data, setData] = useState(null)
+  const [error, setError] = useState(null)
+  const [showLabeled, setShowLabeled] = useState(false)
+
+  useEffect(() => {
+    let cancelled = false
+    setError(null)
+    fetchDelegations()
+      .then((d) => !cancelled && setData(d))
+      .catch((e) => !cancelled && setError(e?.message ?? 'Failed to load'))
+    return () => {
+      cancelled = true
+    }
+  }, [refreshKey])
+
+  const sources = data?.sources ?? []
+  const unlabeled = sources.filter((s) => !s.label)
+  const rows = showLabeled ? sources : unlabeled
+
+  return (
+      <Card className="rounded-2xl">
+        <CardContent className="p-4">
+          <div className="flex flex-wrap gap-2 items-center mb-3">
+            <div className="text-lg font-semibold">Delegation contracts</div>
+            <div className="text-sm text-gray-500">
+              {thousands(unlabeled.length)} unlabeled of {thousands(sources.length)} seen across all proposals
+            </div>
+            <div className="ml-auto">
+              <Button onClick={() => setShowLabeled((v) => !v)}>
+                {showLabeled ? 'Only unlabeled' : 'Show all'}
+              </Button>
+            </div>
+          </div>
+          {error && <div className="text-red-600">Error fetching delegation contracts: {error}</div>}
+          {!!rows.length && (
+              <div className="overflow-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                  <tr className="text-left border-b">
+                    <th className="py-2 pr-4">Contract</th>
+                    <th className="py-2 pr-4">Label</th>
+                    <th className="py-2 pr-4">Votes</th>
+                    <th className="py-2 pr-4">Proposals</th>
+                    <th className="py-2 pr-4">Vote Power</th>
+                  </tr>
+                  </thead>
+                  <tbody>
+                  {rows.map((s) => (
+                      <tr key={s.address} className="border-b hover:bg-gray-50">
+                        <td className="py-2 pr-4 font-mono">{s.address}</td>
+                        <td className="py-2 pr-4">
+                          {s.logo && <img src={s.logo} alt="" className="logo" />}
+                          {s.label ?? <span className="text-gray-500">unlabeled</span>}
+                        </td>
+                        <td className="py-2 pr-4">{thousands(s.votes)}</td>
+                        <td className="py-2 pr-4">{thousands(s.proposals)}</td>
+                        <td className="py-2 pr-4">{formatEgld(BigInt(s.power))}</td>
+                      </tr>
+                  ))}
+                  </tbody>
+                </table>
+              </div>
+          )}
+          {data && !!unlabeled.length && (
+              <div className="mt-3 text-xs text-gray-500">
+                To label a contract, add it to <code>{data.registryFile}</code>, e.g.{' '}
+                <code>{`"${unlabeled[0].address}": { "name": "Provider", "logo": "https://…" }`}</code>.
+                The API server picks up changes without a restart.
+              </div>
+          )}
+        </CardContent>
+      </Card>
+  )
+}
@@ -0,0 +1,29 @@
+import React from 'react'
+import { Button } from '@/components/ui/button'
+import { toCsv } from '@/lib/export'
+
+const download = (filename, type, text) => {
+  const url = URL.createObjectURL(new Blob([text], { type }))
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  a.click()
+  URL.revokeObjectURL(url)
+}
+
+// Downloads the rows a table currently holds; `rows` must already be plain strings/numbers
+export default function ExportButtons({ filename, columns, rows, children }) {
+  return (
+      <div className="flex flex-wrap gap-2 items-center text-xs mb-2">
+        <span className="text-gray-500">Export</span>
+        <Button className="text-xs px-2 py-1" onClick={() => download(`${filename}.csv`, 'text/csv', toCsv(columns, rows))}>CSV</Button>
+        <Button
+            className="text-xs px-2 py-1"
+            onClick={() => download(`${filename}.json`, 'application/json', JSON.stringify(rows, null, 2))}
+        >
+          JSON
+        </Button>
+        {children}
+      </div>
+  )
+}
@@ -0,0 +1,68 @@
+import React from 'react'
+import { AnimatePresence, motion } from 'framer-motion'
+import { Card, CardContent } from '@/components/ui/card'
+import { formatEgld, formatTimestamp } from '@/lib/format'
+import { Link, addressPath } from '@/router'
+
+// Votes stream in while a proposal is open; older feeds are hidden
+const ACTIVE_WINDOW_SECONDS = 2 * 86_400
+
+export const isFeedActive = (feed) => !!feed.length && Date.now() / 1000 - feed[0].timestamp < ACTIVE_WINDOW_SECONDS
+
+export function LiveIndicator({ connected, syncedAt, stale }) {
+  const title = syncedAt ? `Last sync ${new Date(syncedAt).toLocaleTimeString()}` : undefined
+  if (!connected) return <span className="badge badge-gray" title={title}>Reconnecting…</span>
+  if (stale) return <span className="badge badge-amber" title={title}>Live (sync failing)</span>
+  return <span className="badge badge-green" title={title}>● Live</span>
+}
+
+// Latest votes across all proposals, newest first; new ones slide in highlighted
+export default function LiveFeed({ feed, onSelectProposal }) {
+  return (
+      <Card className="rounded-2xl">
+        <CardContent className="p-4">
+          <div className="text-lg font-semibold mb-3">Latest votes</div>
+          <div className="overflow-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+              <tr className="text-left border-b">
+                <th className="py-2 pr-4">Time</th>
+                <th className="py-2 pr-4">Proposal</th>
+                <th className="py-2 pr-4">Address</th>
+                <th className="py-2 pr-4">Option</th>
+                <th className="py-2 pr-4">Cast</th>
+                <th className="py-2 pr-4">Vote Power</th>
+              </tr>
+              </thead>
+              <tbody>
+              <AnimatePresence initial={false}>
+                {feed.map((v) => (
+                    <motion.tr
+                        key={v.id}
+                        className="border-b hover:bg-gray-50"
+                        initial={{ opacity: 0, backgroundColor: '#fef3c7' }}
+                        animate={{ opacity: 1, backgroundColor: 'rgba(254, 243, 199, 0)' }}
+                        transition={{ duration: 2 }}
+                    >
+                      <td className="py-2 pr-4">{formatTimestamp(v.timestamp)}</td>
+                      <td className="py-2 pr-4">
+                        <a href={`/?proposal=${v.proposal}`} onClick={(e) => { e.preventDefault(); onSelectProposal(v.proposal) }}>
+                          #{v.proposal}
+                        </a>
+                      </td>
+                      <td className="py-2 pr-4 font-mono">
+                        {v.voter.startsWith('erd1') ? <Link to={addressPath(v.voter)}>{v.voter}</Link> : v.voter}
+                      </td>
+                      <td className="py-2 pr-4 uppercase">{v.option}</td>
+                      <td className="py-2 pr-4">{v.source ? `via ${v.sourceLabel}` : 'Direct'}</td>
+                      <td className="py-2 pr-4">{formatEgld(v.power)}</td>
+                    </motion.tr>
+                ))}
+              </AnimatePresence>
+              </tbody>
+            </table>
+          </div>
+        </CardContent>
+      </Card>
+  )
+}
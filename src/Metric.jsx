@@ -0,0 +1,12 @@
+import React from 'react'
+
+// A labeled figure with an optional hint underneath, for the metric rows of the panels
+const Metric = ({ label, value, hint }) => (
+    <div>
+      <div className="text-sm text-gray-500">{label}</div>
+      <div className="text-xl font-semibold">{value}</div>
+      {hint && <div className="text-xs text-gray-500">{hint}</div>}
+    </div>
+)
+
+export default Metric
@@ -0,0 +1,91 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { Card, CardContent } from '@/components/ui/card'
+import { Input } from '@/components/ui/input'
+import { DEFAULT_GOVERNANCE_PARAMS, STATUS, computeOutcome, pctToBps } from '@/lib/outcome'
+import { formatBps, parseEgld } from '@/lib/format'
+import Metric from '@/Metric'
+
+const STORAGE_KEY = 'governanceParams'
+
+const STATUS_LABELS = {
+  [STATUS.PASSING]: { text: 'Passing', className: 'badge badge-green' },
+  [STATUS.FAILING]: { text: 'Failing', className: 'badge badge-red' },
+  [STATUS.VETOED]: { text: 'Vetoed', className: 'badge badge-amber' },
+  [STATUS.QUORUM_NOT_MET]: { text: 'Quorum not met', className: 'badge badge-gray' },
+}
+
+// Also read by the comparison page, which reuses the total staked supply for participation
+export const loadGovernanceParams = () => {
+  try {
+    return { ...DEFAULT_GOVERNANCE_PARAMS, ...JSON.parse(window.localStorage.getItem(STORAGE_KEY) ?? '{}') }
+  } catch {
+    return DEFAULT_GOVERNANCE_PARAMS
+  }
+}
+
+const ParamInput = ({ label, value, onChange, ...props }) => (
+    <label className="text-xs text-gray-500">
+      {label}
+      <Input value={value} onChange={(e) => onChange(e.target.value)} className="w-32 block" {...props} />
+    </label>
+)
+
+// Participation, yes/veto shares and pass/fail status; recomputed whenever the tally or parameters change
+export default function OutcomePanel({ byOption, totalPower }) {
+  const [params, setParams] = useState(loadGovernanceParams)
+
+  useEffect(() => {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(params))
+  }, [params])
+
+  const set = (key) => (value) => setParams((p) => ({ ...p, [key]: value }))
+  const totalStaked = parseEgld(params.totalStaked)
+
+  const outcome = useMemo(
+    () =>
+      computeOutcome(
+        { byOption, totalPower },
+        {
+          quorumBps: pctToBps(params.quorumPct),
+          passThresholdBps: pctToBps(params.passThresholdPct),
+          vetoThresholdBps: pctToBps(params.vetoThresholdPct),
+          totalStaked,
+        },
+      ),
+    [byOption, totalPower, params.quorumPct, params.passThresholdPct, params.vetoThresholdPct, totalStaked],
+  )
+  const status = STATUS_LABELS[outcome.status]
+
+  return (
+      <Card className="rounded-2xl">
+        <CardContent className="p-4">
+          <div className="flex flex-wrap gap-3 items-center mb-3">
+            <div className="text-lg font-semibold">Outcome</div>
+            <span className={status.className}>{status.text}</span>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-3">
+            <Metric
+                label="Participation"
+                value={formatBps(outcome.participationBps)}
+                hint={
+                  outcome.quorumMet == null
+                    ? 'Enter the total staked supply to check quorum'
+                    : `Quorum ${params.quorumPct}% ${outcome.quorumMet ? 'met' : 'not met'}`
+                }
+            />
+            <Metric label="Yes share of non-abstain power" value={formatBps(outcome.yesShareBps)} hint={`Passes above ${params.passThresholdPct}%`} />
+            <Metric label="Veto share" value={formatBps(outcome.vetoShareBps)} hint={`Vetoed at ${params.vetoThresholdPct}%`} />
+          </div>
+          <div className="flex flex-wrap gap-3 items-center">
+            <ParamInput label="Quorum (%)" type="number" min={0} max={100} step="any" value={params.quorumPct} onChange={set('quorumPct')} />
+            <ParamInput label="Pass threshold (%)" type="number" min={0} max={100} step="any" value={params.passThresholdPct} onChange={set('passThresholdPct')} />
+            <ParamInput label="Veto threshold (%)" type="number" min={0} max={100} step="any" value={params.vetoThresholdPct} onChange={set('vetoThresholdPct')} />
+            <ParamInput label="Total staked (EGLD)" value={params.totalStaked} onChange={set('totalStaked')} placeholder="e.g. 14,000,000" />
+          </div>
+          {params.totalStaked && totalStaked == null && (
+              <div className="mt-1 text-sm text-red-600">Total staked must be a plain EGLD amount.</div>
+          )}
+        </CardContent>
+      </Card>
+  )
+}
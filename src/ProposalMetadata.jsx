@@ -0,0 +1,90 @@
+import React, { useEffect, useState } from 'react'
+import { fetchMetadata } from '@/api'
+import { formatTimestamp } from '@/lib/format'
+import { Link, addressPath } from '@/router'
+
+const STATUS_BADGES = {
+  pending: ['badge-gray', 'Not started'],
+  active: ['badge-blue', 'Voting open'],
+  ended: ['badge-amber', 'Voting ended'],
+  passed: ['badge-green', 'Passed'],
+  failed: ['badge-red', 'Not passed'],
+}
+
+// Metadata per proposal id; a failing lookup leaves the dashboard as it was
+export function useProposalMetadata(refreshKey) {
+  const [metadata, setMetadata] = useState({})
+  useEffect(() => {
+    let cancelled = false
+    fetchMetadata()
+      .then((d) => !cancelled && setMetadata(Object.fromEntries(d.proposals.map((p) => [p.id, p]))))
+      .catch(() => {})
+    return () => {
+      cancelled = true
+    }
+  }, [refreshKey])
+  return metadata
+}
+
+export function StatusBadge({ status }) {
+  if (!STATUS_BADGES[status]) return null
+  const [className, label] = STATUS_BADGES[status]
+  return <span className={`badge ${className}`}>{label}</span>
+}
+
+// Commit hashes are usually git commit ids; shortened in tables
+export const proposalTitle = (meta, short = false) => {
+  const hash = meta?.commitHash
+  if (!hash) return null
+  return short && /^[0-9a-f]{40}$/i.test(hash) ? hash.slice(0, 10) : hash
+}
+
+const formatDuration = (seconds) => {
+  const d = Math.floor(seconds / 86_400)
+  const h = Math.floor((seconds % 86_400) / 3600)
+  const m = Math.floor((seconds % 3600) / 60)
+  const s = seconds % 60
+  return d ? `${d}d ${h}h ${m}m` : h ? `${h}h ${m}m ${s}s` : `${m}m ${s}s`
+}
+
+function Countdown({ meta }) {
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000))
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000)
+    return () => clearInterval(timer)
+  }, [])
+
+  if (meta.status === 'pending' && meta.votingStartsAt > now) return <span>Voting starts in ~{formatDuration(meta.votingStartsAt - now)}</span>
+  if (meta.status === 'active' && meta.votingEndsAt > now) return <span>Voting ends in ~{formatDuration(meta.votingEndsAt - now)}</span>
+  return null
+}
+
+// Title, proposer, voting window and status of the selected proposal. Times are estimated from
+// the epochs, so they can be off by a few minutes.
+export default function ProposalDetails({ meta }) {
+  if (!meta) return null
+  return (
+      <div className="w-full space-y-1 text-sm">
+        <div className="flex flex-wrap gap-2 items-center">
+          <StatusBadge status={meta.status} />
+          {proposalTitle(meta) && <span className="font-mono break-all">{proposalTitle(meta)}</span>}
+        </div>
+        <div className="flex flex-wrap gap-x-4 gap-y-1 text-gray-500">
+          {meta.startEpoch != null && (
+              <span>
+                Epochs {meta.startEpoch}–{meta.endEpoch}
+                {meta.votingStartsAt != null && ` (~${formatTimestamp(meta.votingStartsAt)} → ~${formatTimestamp(meta.votingEndsAt)})`}
+              </span>
+          )}
+          <Countdown meta={meta} />
+          {meta.proposer && (
+              <span>
+                Proposed by{' '}
+                {meta.proposer.startsWith('erd1') ? <Link to={addressPath(meta.proposer)} className="font-mono">{meta.proposer}</Link> : meta.proposer}
+                {meta.createdAt != null && ` on ${formatTimestamp(meta.createdAt)}`}
+              </span>
+          )}
+        </div>
+      </div>
+  )
+}
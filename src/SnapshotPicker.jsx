@@ -0,0 +1,79 @@
+import React, { useEffect, useState } from 'react'
+import { Card, CardContent } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { formatTimestamp } from '@/lib/format'
+
+const DAY = 86_400
+// Dragging the slider only refetches once it has settled
+const SLIDER_DELAY_MS = 300
+
+// `datetime-local` inputs work in local time without a zone: "2024-05-01T12:00:00"
+const toLocalInput = (ts) => {
+  const d = new Date(ts * 1000)
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60_000).toISOString().slice(0, 19)
+}
+const fromLocalInput = (value) => {
+  const ms = new Date(value).getTime()
+  return Number.isNaN(ms) ? null : Math.floor(ms / 1000)
+}
+
+// Picks the moment the dashboard is replayed to, within the proposal's voting window; `at` is
+// unix seconds, null for the latest state
+export default function SnapshotPicker({ proposal, at, onChange }) {
+  const [draft, setDraft] = useState(at ?? proposal.lastVote)
+
+  useEffect(() => {
+    setDraft(at ?? proposal.lastVote)
+  }, [at, proposal.lastVote])
+
+  useEffect(() => {
+    if (draft === (at ?? proposal.lastVote)) return undefined
+    const timer = setTimeout(() => onChange(draft), SLIDER_DELAY_MS)
+    return () => clearTimeout(timer)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [draft])
+
+  const dayBeforeLast = Math.max(proposal.firstVote, proposal.lastVote - DAY)
+
+  return (
+      <Card className="rounded-2xl">
+        <CardContent className="p-4 space-y-3">
+          <div className="flex flex-wrap gap-2 items-center">
+            <div className="text-lg font-semibold">Snapshot</div>
+            <div className="text-sm text-gray-500">
+              {at == null ? 'Showing the latest state.' : `Showing the votes cast up to ${formatTimestamp(at)}.`}
+            </div>
+            <div className="ml-auto flex gap-2 items-center">
+              <Input
+                  type="datetime-local"
+                  step="1"
+                  value={toLocalInput(at ?? proposal.lastVote)}
+                  onChange={(e) => {
+                    const ts = fromLocalInput(e.target.value)
+                    if (ts != null) onChange(ts)
+                  }}
+              />
+              <Button variant="outline" onClick={() => onChange(dayBeforeLast)} disabled={at === dayBeforeLast}>
+                24h before last vote
+              </Button>
+              <Button onClick={() => onChange(null)} disabled={at == null}>Latest</Button>
+            </div>
+          </div>
+          <input
+              type="range"
+              className="w-full"
+              min={proposal.firstVote}
+              max={proposal.lastVote}
+              step={1}
+              value={draft}
+              onChange={(e) => setDraft(Number(e.target.value))}
+          />
+          <div className="flex justify-between text-xs text-gray-500">
+            <span>First vote {formatTimestamp(proposal.firstVote)}</span>
+            <span>Last vote {formatTimestamp(proposal.lastVote)}</span>
+          </div>
+        </CardContent>
+      </Card>
+  )
+}
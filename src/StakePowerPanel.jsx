@@ -0,0 +1,162 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { ScatterChart, Scatter, XAxis, YAxis, ZAxis, CartesianGrid, ResponsiveContainer, Tooltip, Legend } from 'recharts'
+import { Card, CardContent } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { OPTIONS } from '@/lib/decode'
+import { formatBps, formatEgld, formatNumber, formatRatioBps, thousands, toEgldNumber } from '@/lib/format'
+import { ratioBps } from '@/lib/outcome'
+import { fetchStakePower } from '@/api'
+import { COLORS } from '@/colors'
+import { Link, addressPath } from '@/router'
+import Metric from '@/Metric'
+
+// How vote power relates to stake: per-option results under both weightings, a scatter of every
+// vote, and the votes whose power/stake ratio is far from the median
+export default function StakePowerPanel({ proposal, view, at, refreshKey }) {
+  const [scale, setScale] = useState('log')
+  const [data, setData] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    setError(null)
+    fetchStakePower(proposal, view, at)
+      .then((d) => !cancelled && setData(d))
+      .catch((e) => !cancelled && setError(e?.message ?? 'Failed to load'))
+    return () => {
+      cancelled = true
+    }
+  }, [proposal, view, at, refreshKey])
+
+  const totalStake = BigInt(data?.totalStake ?? 0)
+  const totalPower = BigInt(data?.totalPower ?? 0)
+
+  // A log scale cannot place zero amounts, so those votes only show on the linear one
+  const points = useMemo(
+    () =>
+      Object.fromEntries(
+        OPTIONS.map((o) => [
+          o,
+          (data?.points ?? [])
+            .filter((p) => p.option === o && (scale === 'linear' || (BigInt(p.stake) > 0n && BigInt(p.power) > 0n)))
+            .map((p) => ({ ...p, x: toEgldNumber(BigInt(p.stake)), y: toEgldNumber(BigInt(p.power)) })),
+        ]),
+      ),
+    [data, scale],
+  )
+  const options = OPTIONS.filter((o) => points[o].length)
+
+  return (
+      <Card className="rounded-2xl">
+        <CardContent className="p-4">
+          <div className="flex flex-wrap gap-2 items-center mb-3">
+            <div className="text-lg font-semibold">Stake vs vote power</div>
+            <div className="ml-auto flex gap-2">
+              <Button onClick={() => setScale('log')} disabled={scale === 'log'}>Log scale</Button>
+              <Button onClick={() => setScale('linear')} disabled={scale === 'linear'}>Linear scale</Button>
+            </div>
+          </div>
+          {error && <div className="text-red-600">Error fetching stake and power: {error}</div>}
+          {data && (
+              <div className="space-y-4">
+                <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+                  <Metric label="Total stake" value={formatEgld(totalStake)} />
+                  <Metric label="Total vote power" value={formatEgld(totalPower)} />
+                  <Metric label="Median power / stake" value={formatRatioBps(data.medianRatioBps)} hint={`${thousands(data.votes)} votes`} />
+                  <Metric label="Range" value={`${formatRatioBps(data.minRatioBps)} – ${formatRatioBps(data.maxRatioBps)}`} />
+                  <Metric
+                      label="Off the median"
+                      value={thousands(data.anomalyCount)}
+                      hint={`ratio more than ${formatBps(data.toleranceBps)} away, or power without stake`}
+                  />
+                </div>
+
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                  <div className="overflow-auto">
+                    <div className="text-sm mb-2 font-medium">Results weighted by stake and by vote power</div>
+                    <table className="min-w-full text-sm">
+                      <thead>
+                      <tr className="text-left border-b">
+                        <th className="py-2 pr-4">Option</th>
+                        <th className="py-2 pr-4">Stake</th>
+                        <th className="py-2 pr-4">Stake share</th>
+                        <th className="py-2 pr-4">Power share</th>
+                        <th className="py-2 pr-4">Difference</th>
+                      </tr>
+                      </thead>
+                      <tbody>
+                      {OPTIONS.map((o) => {
+                        const stakeShare = ratioBps(BigInt(data.byOption[o].stake), totalStake)
+                        const powerShare = ratioBps(BigInt(data.byOption[o].power), totalPower)
+                        const diff = stakeShare != null && powerShare != null ? powerShare - stakeShare : null
+                        return (
+                            <tr key={o} className="border-b hover:bg-gray-50">
+                              <td className="py-2 pr-4 uppercase">{o}</td>
+                              <td className="py-2 pr-4">{formatEgld(BigInt(data.byOption[o].stake))}</td>
+                              <td className="py-2 pr-4">{formatBps(stakeShare)}</td>
+                              <td className="py-2 pr-4">{formatBps(powerShare)}</td>
+                              <td className="py-2 pr-4">{diff == null ? '—' : `${diff > 0n ? '+' : ''}${formatBps(diff)}`}</td>
+                            </tr>
+                        )
+                      })}
+                      </tbody>
+                    </table>
+                  </div>
+
+                  <div className="h-80">
+                    <div className="text-sm mb-2 font-medium">
+                      Stake vs power per vote{data.points.length < data.votes && ` (${thousands(data.points.length)} largest stakes)`}
+                    </div>
+                    <ResponsiveContainer width="100%" height="100%">
+                      <ScatterChart>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis type="number" dataKey="x" name="Stake" scale={scale} domain={['auto', 'auto']} tick={{ fontSize: 11 }} tickFormatter={(v) => formatNumber(v, 0)} />
+                        <YAxis type="number" dataKey="y" name="Power" scale={scale} domain={['auto', 'auto']} tick={{ fontSize: 11 }} tickFormatter={(v) => formatNumber(v, 0)} />
+                        <ZAxis range={[24, 24]} />
+                        <Tooltip formatter={(v, name) => [`${formatNumber(v, 2)} EGLD`, name]} />
+                        <Legend />
+                        {options.map((o) => (
+                            <Scatter key={o} name={o} data={points[o]} fill={COLORS[o] || '#60a5fa'} />
+                        ))}
+                      </ScatterChart>
+                    </ResponsiveContainer>
+                  </div>
+                </div>
+
+                {!!data.anomalies.length && (
+                    <div className="overflow-auto">
+                      <div className="text-sm mb-2 font-medium">Votes off the median ratio (by power)</div>
+                      <table className="min-w-full text-sm">
+                        <thead>
+                        <tr className="text-left border-b">
+                          <th className="py-2 pr-4">Address</th>
+                          <th className="py-2 pr-4">Option</th>
+                          <th className="py-2 pr-4">Cast</th>
+                          <th className="py-2 pr-4">Stake</th>
+                          <th className="py-2 pr-4">Vote Power</th>
+                          <th className="py-2 pr-4">Power / stake</th>
+                        </tr>
+                        </thead>
+                        <tbody>
+                        {data.anomalies.map((v) => (
+                            <tr key={v.id} className="border-b hover:bg-gray-50">
+                              <td className="py-2 pr-4 font-mono">
+                                {v.address.startsWith('erd1') ? <Link to={addressPath(v.address)}>{v.address}</Link> : v.address}
+                              </td>
+                              <td className="py-2 pr-4 uppercase">{v.option}</td>
+                              <td className="py-2 pr-4">{v.kind}</td>
+                              <td className="py-2 pr-4">{formatEgld(BigInt(v.stake))}</td>
+                              <td className="py-2 pr-4">{formatEgld(BigInt(v.power))}</td>
+                              <td className="py-2 pr-4">{formatRatioBps(v.ratioBps)}</td>
+                            </tr>
+                        ))}
+                        </tbody>
+                      </table>
+                    </div>
+                )}
+              </div>
+          )}
+        </CardContent>
+      </Card>
+  )
+}
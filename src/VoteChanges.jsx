@@ -0,0 +1,77 @@
+import React, { useEffect, useState } from 'react'
+import { Card, CardContent } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { formatEgld, formatTimestamp, thousands } from '@/lib/format'
+import { fetchVoteChanges } from '@/api'
+import { Link, addressPath } from '@/router'
+
+// Voters who switched options on a proposal, with the full history of their votes
+export default function VoteChanges({ proposal, at, refreshKey }) {
+  const [changes, setChanges] = useState([])
+  const [error, setError] = useState(null)
+  const [expanded, setExpanded] = useState(false)
+
+  useEffect(() => {
+    let cancelled = false
+    setError(null)
+    fetchVoteChanges(proposal, at)
+      .then((d) => !cancelled && setChanges(d.changes))
+      .catch((e) => !cancelled && setError(e?.message ?? 'Failed to load'))
+    return () => {
+      cancelled = true
+    }
+  }, [proposal, at, refreshKey])
+
+  const visible = expanded ? changes : changes.slice(0, 10)
+
+  return (
+      <Card className="rounded-2xl">
+        <CardContent className="p-4">
+          <div className="text-lg font-semibold mb-3">Changed votes ({thousands(changes.length)})</div>
+          {error && <div className="text-red-600">Error fetching vote changes: {error}</div>}
+          {!changes.length && !error && <div className="text-sm text-gray-500">Nobody switched options on this proposal.</div>}
+          {!!changes.length && (
+              <div className="overflow-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                  <tr className="text-left border-b">
+                    <th className="py-2 pr-4">Address</th>
+                    <th className="py-2 pr-4">Cast</th>
+                    <th className="py-2 pr-4">Change</th>
+                    <th className="py-2 pr-4">Current Power</th>
+                    <th className="py-2 pr-4">History</th>
+                  </tr>
+                  </thead>
+                  <tbody>
+                  {visible.map((c) => (
+                      <tr key={`${c.voter}|${c.source}`} className="border-b hover:bg-gray-50">
+                        <td className="py-2 pr-4 font-mono">
+                          {c.voter.startsWith('erd1') ? <Link to={addressPath(c.voter)}>{c.voter}</Link> : c.voter}
+                        </td>
+                        <td className="py-2 pr-4">{c.source ? `via ${c.sourceLabel}` : 'Direct'}</td>
+                        <td className="py-2 pr-4 uppercase">{c.from} → {c.to}</td>
+                        <td className="py-2 pr-4">{formatEgld(BigInt(c.power))}</td>
+                        <td className="py-2 pr-4 text-xs">
+                          {c.history.map((h) => (
+                              <div key={h.id}>
+                                <span className="uppercase">{h.option}</span> · {formatTimestamp(h.timestamp)}
+                              </div>
+                          ))}
+                        </td>
+                      </tr>
+                  ))}
+                  </tbody>
+                </table>
+              </div>
+          )}
+          {changes.length > 10 && (
+              <div className="mt-3">
+                <Button variant="outline" onClick={() => setExpanded((v) => !v)}>
+                  {expanded ? 'See less' : 'See more'}
+                </Button>
+              </div>
+          )}
+        </CardContent>
+      </Card>
+  )
+}
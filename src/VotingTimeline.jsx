@@ -0,0 +1,107 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { AreaChart, Area, BarChart, Bar, XAxis, YAxis, CartesianGrid, ResponsiveContainer, Tooltip, Legend } from 'recharts'
+import { Card, CardContent } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { OPTIONS } from '@/lib/decode'
+import { formatNumber, toEgldNumber } from '@/lib/format'
+import { fetchTimeline } from '@/api'
+import { COLORS } from '@/colors'
+
+const formatBucket = (start, bucket) => {
+  const d = new Date(start * 1000)
+  return bucket === 'day'
+    ? d.toLocaleDateString()
+    : d.toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+}
+
+// Cumulative voting power / vote count per option over the proposal's lifetime, plus per-bucket activity
+export default function VotingTimeline({ proposal, view, at, refreshKey }) {
+  const [metric, setMetric] = useState('power')
+  const [bucket, setBucket] = useState(null)
+  const [data, setData] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    setError(null)
+    fetchTimeline(proposal, bucket, view, at)
+      .then((d) => !cancelled && setData(d))
+      .catch((e) => !cancelled && setError(e?.message ?? 'Failed to load'))
+    return () => {
+      cancelled = true
+    }
+  }, [proposal, bucket, view, at, refreshKey])
+
+  const rows = useMemo(() => {
+    const toValue = metric === 'power' ? (v) => toEgldNumber(BigInt(v)) : (v) => v
+    return (data?.buckets ?? []).map((b) => {
+      const row = { label: formatBucket(b.start, data.bucket) }
+      for (const o of OPTIONS) {
+        row[o] = toValue(metric === 'power' ? b.cumulativePower[o] : b.cumulativeCounts[o])
+        row[`${o}Bucket`] = toValue(metric === 'power' ? b.power[o] : b.counts[o])
+      }
+      return row
+    })
+  }, [data, metric])
+
+  // Skip options nobody voted for so the legend stays readable
+  const options = OPTIONS.filter((o) => rows.some((r) => r[o] > 0))
+  const fmt = (v) => (metric === 'power' ? `${formatNumber(v, 2)} EGLD` : formatNumber(v, 0))
+
+  return (
+      <Card className="rounded-2xl">
+        <CardContent className="p-4">
+          <div className="flex flex-wrap gap-2 items-center mb-3">
+            <div className="text-lg font-semibold">Voting progress</div>
+            <div className="ml-auto flex gap-2">
+              <Button onClick={() => setMetric(metric === 'power' ? 'count' : 'power')}>
+                {metric === 'power' ? 'Show vote count' : 'Show voting power'}
+              </Button>
+              {['hour', 'day'].map((b) => (
+                  <Button key={b} onClick={() => setBucket(b)} disabled={data?.bucket === b}>
+                    Per {b}
+                  </Button>
+              ))}
+            </div>
+          </div>
+          {error && <div className="text-red-600">Error fetching timeline: {error}</div>}
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div className="h-80">
+              <div className="text-sm mb-2 font-medium">
+                Cumulative {metric === 'power' ? 'voting power' : 'votes'} by option
+              </div>
+              <ResponsiveContainer width="100%" height="100%">
+                <AreaChart data={rows}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="label" tick={{ fontSize: 11 }} minTickGap={24} />
+                  <YAxis tick={{ fontSize: 11 }} tickFormatter={(v) => formatNumber(v, 0)} />
+                  <Tooltip formatter={(v, name) => [fmt(v), name]} />
+                  <Legend />
+                  {options.map((o) => (
+                      <Area key={o} type="stepAfter" dataKey={o} name={o} stroke={COLORS[o]} fill={COLORS[o]} fillOpacity={0.15} />
+                  ))}
+                </AreaChart>
+              </ResponsiveContainer>
+            </div>
+            <div className="h-80">
+              <div className="text-sm mb-2 font-medium">
+                {metric === 'power' ? 'Voting power' : 'Votes'} per {data?.bucket ?? 'bucket'}
+              </div>
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={rows}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="label" tick={{ fontSize: 11 }} minTickGap={24} />
+                  <YAxis tick={{ fontSize: 11 }} tickFormatter={(v) => formatNumber(v, 0)} />
+                  <Tooltip formatter={(v, name) => [fmt(v), name]} />
+                  <Legend />
+                  {options.map((o) => (
+                      <Bar key={o} dataKey={`${o}Bucket`} name={o} stackId="activity" fill={COLORS[o]} />
+                  ))}
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+  )
+}
@@ -0,0 +1,69 @@
+import { OPTIONS } from '@/lib/decode'
+
+// --- Config ---
+// Prefer same-origin proxy to avoid CORS in production. Override with VITE_API_URL if needed.
+export const API_URL = import.meta.env.VITE_API_URL || '/api'
+
+export async function getJson(url) {
+  const res = await fetch(url)
+  if (!res.ok) throw new Error(`HTTP ${res.status}`)
+  return res.json()
+}
+
+// --- Fetching from the API server ---
+// The API server syncs and aggregates the governance events; amounts arrive as decimal strings.
+const TOP_VOTERS_LIMIT = 50
+
+// Proposal endpoints take `at` (unix seconds) to replay the votes up to that moment; null is the latest state
+const atParam = (at) => (at != null ? `&at=${at}` : '')
+
+export const fetchProposals = () => getJson(`${API_URL}/proposals`)
+
+// `view` is 'effective' (latest vote per voter and source) or 'raw' (every vote event)
+export const fetchProposalData = async (id, view = 'effective', at = null) => {
+  const [summary, ...voterLists] = await Promise.all([
+    getJson(`${API_URL}/proposals/${id}/summary?view=${view}${atParam(at)}`),
+    ...OPTIONS.map((o) => getJson(`${API_URL}/proposals/${id}/voters?option=${o}&limit=${TOP_VOTERS_LIMIT}&view=${view}${atParam(at)}`)),
+  ])
+  return { summary, lists: Object.fromEntries(OPTIONS.map((o, i) => [o, voterLists[i].voters])) }
+}
+
+export const fetchAddressVotes = (address) => getJson(`${API_URL}/addresses/${address}/votes`)
+
+// `bucket` is 'hour' or 'day'; omitted, the server picks one from the proposal's duration
+export const fetchTimeline = (id, bucket, view = 'effective', at = null) =>
+  getJson(`${API_URL}/proposals/${id}/timeline?view=${view}${bucket ? `&bucket=${bucket}` : ''}${atParam(at)}`)
+
+export const fetchVoteChanges = (id, at = null) => getJson(`${API_URL}/proposals/${id}/changes${at != null ? `?at=${at}` : ''}`)
+
+export const fetchDelegations = () => getJson(`${API_URL}/delegations`)
+
+// Full voter list as a file download; `option` omitted exports every option
+export const voterExportUrl = (id, { format = 'csv', option, view = 'effective', at = null } = {}) =>
+  `${API_URL}/proposals/${id}/export?format=${format}&view=${view}${option ? `&option=${option}` : ''}${atParam(at)}`
+
+// Server-Sent Events stream of new votes (`hello`, `votes` and `sync` events)
+export const liveUrl = () => `${API_URL}/live`
+
+export const fetchConcentration = (id, view = 'effective', at = null) =>
+  getJson(`${API_URL}/proposals/${id}/concentration?view=${view}${atParam(at)}`)
+
+export const fetchComparison = (ids, view = 'effective') => getJson(`${API_URL}/compare?proposals=${ids.join(',')}&view=${view}`)
+
+// Outcome thresholds decide which option "won" each proposal for the alignment figures
+export const fetchCohorts = ({ view = 'effective', passThresholdPct, vetoThresholdPct }) =>
+  getJson(`${API_URL}/cohorts?view=${view}&passThresholdPct=${passThresholdPct}&vetoThresholdPct=${vetoThresholdPct}`)
+
+// Commit hash, proposer, voting window and status per proposal, from creation events and the gateway
+export const fetchMetadata = () => getJson(`${API_URL}/metadata`)
+
+// Delegated votes per source (option split) and the delegators of one source, paged
+export const fetchDelegationBreakdown = (id, view = 'effective', at = null) =>
+  getJson(`${API_URL}/proposals/${id}/delegation?view=${view}${atParam(at)}`)
+
+export const fetchDelegators = (id, source, { view = 'effective', at = null, offset = 0, limit = TOP_VOTERS_LIMIT } = {}) =>
+  getJson(`${API_URL}/proposals/${id}/delegators?source=${encodeURIComponent(source)}&view=${view}&offset=${offset}&limit=${limit}${atParam(at)}`)
+
+// Stake vs vote power per option and per vote, with the votes whose power/stake ratio stands out
+export const fetchStakePower = (id, view = 'effective', at = null) =>
+  getJson(`${API_URL}/proposals/${id}/stake?view=${view}${atParam(at)}`)
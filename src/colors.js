@@ -0,0 +1,8 @@
+export const COLORS = {
+  yes: '#22c55e', // green-500
+  no: '#ef4444', // red-500
+  abstain: '#a3a3a3', // neutral-400
+  veto: '#f59e0b', // amber-500
+  unknown: '#6366f1', // indigo-500
+  default: ['#60a5fa', '#34d399', '#f87171', '#fbbf24', '#a78bfa', '#f472b6', '#22d3ee', '#4ade80'],
+}
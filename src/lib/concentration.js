@@ -0,0 +1,52 @@
+// Concentration of voting power among voters. Computed exactly on BigInt powers; ratios are
+// BigInt basis points (1% = 100 bps), rounded down. HHI uses the usual 0–10,000 scale, which is
+// the sum of squared shares in bps.
+import { ratioBps } from './outcome.js'
+import { bigintDesc } from './sort.js'
+
+const LORENZ_POINTS = 100
+
+/**
+ * @param {bigint[]} powers voting power per voter
+ * @returns {{
+ *   voters: number, totalPower: bigint, nakamoto: number|null, giniBps: bigint|null, hhi: bigint|null,
+ *   top10ShareBps: bigint|null, top100ShareBps: bigint|null, lorenz: { votersBps: bigint, powerBps: bigint }[]
+ * }}
+ */
+export function concentrationMetrics(powers) {
+  const sorted = powers.filter((p) => p > 0n).sort(bigintDesc)
+  const n = sorted.length
+  const total = sorted.reduce((sum, p) => sum + p, 0n)
+  if (!n) {
+    return { voters: 0, totalPower: 0n, nakamoto: null, giniBps: null, hhi: null, top10ShareBps: null, top100ShareBps: null, lorenz: [] }
+  }
+
+  // Nakamoto coefficient: fewest voters jointly holding a strict majority of the power
+  let nakamoto = 0
+  for (let cum = 0n; 2n * cum <= total; nakamoto += 1) cum += sorted[nakamoto]
+
+  // prefix[k] = power of the k largest voters
+  const prefix = [0n]
+  for (const p of sorted) prefix.push(prefix[prefix.length - 1] + p)
+  const topShare = (k) => ratioBps(prefix[Math.min(k, n)], total)
+
+  // Gini over the ascending order (rank i = 1..n): (2·Σ i·x_i − (n+1)·T) / (n·T)
+  let weighted = 0n
+  for (let i = 0; i < n; i += 1) weighted += BigInt(n - i) * sorted[i]
+  const N = BigInt(n)
+  const giniBps = ((2n * weighted - (N + 1n) * total) * 10_000n) / (N * total)
+
+  let squares = 0n
+  for (const p of sorted) squares += p * p
+  const hhi = (squares * 10_000n) / (total * total)
+
+  // Lorenz curve: cumulative power share of the poorest k% of voters, at most LORENZ_POINTS + 1 points
+  const steps = Math.min(n, LORENZ_POINTS)
+  const lorenz = []
+  for (let s = 0; s <= steps; s += 1) {
+    const k = Math.round((s * n) / steps)
+    lorenz.push({ votersBps: (BigInt(k) * 10_000n) / N, powerBps: ratioBps(total - prefix[n - k], total) })
+  }
+
+  return { voters: n, totalPower: total, nakamoto, giniBps, hhi, top10ShareBps: topShare(10), top100ShareBps: topShare(100), lorenz }
+}
@@ -0,0 +1,226 @@
+// Decoding of MultiversX governance events (`vote` / `delegateVote`, `proposal`) from raw ES hits.
+// Plain ES module with no dependencies, shared by the API server and the browser.
+
+export const OPTIONS = ['yes', 'no', 'abstain', 'veto', 'unknown']
+
+// --- Hex ---
+const HEX_RE = /^[0-9a-f]*$/i
+
+// Odd-length hex is left-padded with a zero nibble; anything that is not hex yields null
+export const hexToBytes = (hex) => {
+  if (typeof hex !== 'string' || !HEX_RE.test(hex)) return null
+  const h = hex.length % 2 === 1 ? '0' + hex : hex
+  return h.match(/.{2}/g)?.map((b) => parseInt(b, 16)) ?? []
+}
+
+export const hexToAscii = (hex) => {
+  const bytes = hexToBytes(hex)
+  if (!bytes) return ''
+  return String.fromCharCode(...bytes).replace(/\u0000+$/g, '')
+}
+
+// An empty topic is how the chain encodes zero; anything that is not hex yields null
+export const hexToBigInt = (hex) => {
+  if (typeof hex !== 'string' || !HEX_RE.test(hex)) return null
+  return hex ? BigInt('0x' + hex) : 0n
+}
+
+// bech32 encoding for MultiversX (hrp "erd"). Minimal implementation.
+const bech32Polymod = (values) => {
+  const GENERATORS = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3]
+  let chk = 1
+  for (const v of values) {
+    const b = chk >> 25
+    chk = ((chk & 0x1ffffff) << 5) ^ v
+    for (let i = 0; i < 5; i++) {
+      if (((b >> i) & 1) !== 0) chk ^= GENERATORS[i]
+    }
+  }
+  return chk
+}
+
+const bech32HrpExpand = (hrp) => {
+  const ret = []
+  for (let i = 0; i < hrp.length; i++) ret.push(hrp.charCodeAt(i) >> 5)
+  ret.push(0)
+  for (let i = 0; i < hrp.length; i++) ret.push(hrp.charCodeAt(i) & 31)
+  return ret
+}
+
+const bech32CreateChecksum = (hrp, data) => {
+  const values = bech32HrpExpand(hrp).concat(data).concat([0, 0, 0, 0, 0, 0])
+  const mod = bech32Polymod(values) ^ 1
+  const rv = []
+  for (let p = 0; p < 6; p++) rv.push((mod >> (5 * (5 - p))) & 31)
+  return rv
+}
+
+const BECH32_ALPHABET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l'
+
+export const bech32Encode = (hrp, data) => {
+  const combined = data.concat(bech32CreateChecksum(hrp, data))
+  let out = hrp + '1'
+  for (const d of combined) out += BECH32_ALPHABET[d]
+  return out
+}
+
+// convert 8-bit bytes to 5-bit groups
+export const convertBits = (data, from, to, pad = true) => {
+  let acc = 0
+  let bits = 0
+  const ret = []
+  const maxv = (1 << to) - 1
+  for (const value of data) {
+    if (value < 0 || value >> from) return null
+    acc = (acc << from) | value
+    bits += from
+    while (bits >= to) {
+      bits -= to
+      ret.push((acc >> bits) & maxv)
+    }
+  }
+  if (pad) {
+    if (bits) ret.push((acc << (to - bits)) & maxv)
+  } else if (bits >= from || ((acc << (to - bits)) & maxv)) {
+    return null
+  }
+  return ret
+}
+
+export const ERD_HRP = 'erd'
+
+export const hexToBech32Erd = (hex32) => {
+  const bytes = hexToBytes(hex32)
+  if (!bytes || bytes.length !== 32) return undefined
+  return bech32Encode(ERD_HRP, convertBits(bytes, 8, 5, true))
+}
+
+// bech32 decoding (BIP-0173). Returns { hrp, data } with 5-bit data words, or { error } describing the problem.
+export const bech32Decode = (str) => {
+  if (typeof str !== 'string' || !str) return { error: 'Address is empty' }
+  if (str.length < 8 || str.length > 90) return { error: 'Address has an invalid length' }
+  if (str !== str.toLowerCase() && str !== str.toUpperCase()) return { error: 'Address mixes upper and lower case' }
+  const s = str.toLowerCase()
+  const sep = s.lastIndexOf('1')
+  if (sep < 1 || sep + 7 > s.length) return { error: 'Address is missing the "1" separator or checksum' }
+  const hrp = s.slice(0, sep)
+  const data = []
+  for (const ch of s.slice(sep + 1)) {
+    const d = BECH32_ALPHABET.indexOf(ch)
+    if (d === -1) return { error: `Address contains an invalid character "${ch}"` }
+    data.push(d)
+  }
+  if (bech32Polymod(bech32HrpExpand(hrp).concat(data)) !== 1) return { error: 'Address checksum is invalid (check for typos)' }
+  return { hrp, data: data.slice(0, -6) }
+}
+
+// Parses an erd1… address into its 32-byte public key. Returns { address, hex } or { error }.
+export const parseErdAddress = (input) => {
+  const address = typeof input === 'string' ? input.trim() : input
+  const decoded = bech32Decode(address)
+  if (decoded.error) return decoded
+  if (decoded.hrp !== ERD_HRP) return { error: `Address must start with "${ERD_HRP}1"` }
+  const bytes = convertBits(decoded.data, 5, 8, false)
+  if (!bytes || bytes.length !== 32) return { error: 'Address does not encode a 32-byte public key' }
+  return { address: address.toLowerCase(), hex: bytes.map((b) => b.toString(16).padStart(2, '0')).join('') }
+}
+
+export const isErdAddress = (input) => !parseErdAddress(input).error
+
+// Voting option decoding
+export const decodeOption = (hex) => {
+  const s = hexToAscii(hex).toLowerCase()
+  if (s === 'yes') return 'yes'
+  if (s === 'no') return 'no'
+  if (s === 'abstain') return 'abstain'
+  if (s === 'veto' || s === 'ncv' || s === 'veto_power') return 'veto'
+  return 'unknown'
+}
+
+// Proposal ids are emitted as the hex-encoded proposal nonce in topics[0]; null when it is not hex
+export const decodeProposal = (hex) => hexToBigInt(hex)?.toString() ?? null
+
+// --- Vote records ---
+/**
+ * @typedef {Object} VoteRecord
+ * @property {string} id            ES document id of the event
+ * @property {'direct'|'delegated'} kind
+ * @property {string} proposal      proposal id (decimal string)
+ * @property {string} option        one of OPTIONS
+ * @property {string} voter         bech32 address (raw hex if it cannot be encoded)
+ * @property {string|null} source   delegation contract that cast a delegated vote, null for direct votes
+ * @property {bigint} stake
+ * @property {bigint} power
+ * @property {number} timestamp     unix seconds
+ * @property {string|null} txHash
+ */
+
+// Minimum topic count per event identifier
+const TOPIC_COUNT = { vote: 4, delegateVote: 5 }
+
+/**
+ * Turns a raw ES hit into a VoteRecord, or null when it is not a vote event or its topics are malformed.
+ * @returns {VoteRecord|null}
+ */
+export const decodeVote = (hit) => {
+  const s = hit?._source
+  const t = s?.topics
+  const required = TOPIC_COUNT[s?.identifier]
+  if (!required || !Array.isArray(t) || t.length < required) return null
+
+  // Topics: [proposal, option, userStake, votePower] for direct votes (the voter is the event's
+  // address); [proposal, option, voter(32 bytes), userStake, votePower] for delegated ones (the
+  // event's address is the delegation contract)
+  const direct = s.identifier === 'vote'
+  const proposal = decodeProposal(t[0])
+  const stake = hexToBigInt(t[direct ? 2 : 3])
+  const power = hexToBigInt(t[direct ? 3 : 4])
+  // A vote that cannot be attributed to a proposal or weighed is dropped rather than miscounted
+  if (proposal == null || stake == null || power == null) return null
+
+  return {
+    id: hit._id,
+    proposal,
+    option: decodeOption(t[1]),
+    timestamp: s.timestamp ?? 0,
+    txHash: s.txHash ?? null,
+    kind: direct ? 'direct' : 'delegated',
+    voter: direct ? s.address : hexToBech32Erd(t[2]) ?? t[2],
+    source: direct ? null : s.address ?? null,
+    stake,
+    power,
+  }
+}
+
+// --- Proposal records ---
+// Commit hashes are usually a git commit id as ASCII text; anything unprintable is kept as hex
+export const decodeCommitHash = (hex) => {
+  const text = hexToAscii(hex)
+  return text && /^[\x20-\x7e]+$/.test(text) ? text : hex ?? ''
+}
+
+/**
+ * Turns a `proposal` creation event into { id, proposer, commitHash, startEpoch, endEpoch, timestamp, txHash },
+ * or null for any other event. Topics: [nonce, commitHash, startVoteEpoch, endVoteEpoch]; the event's
+ * address is the proposer.
+ */
+export const decodeProposalCreated = (hit) => {
+  const s = hit?._source
+  const t = s?.topics
+  if (s?.identifier !== 'proposal' || !Array.isArray(t) || t.length < 4) return null
+  const id = decodeProposal(t[0])
+  if (id == null) return null
+  const epoch = (hex) => {
+    const n = hexToBigInt(hex)
+    return n == null ? null : Number(n)
+  }
+  return {
+    id,
+    proposer: s.address ?? null,
+    commitHash: decodeCommitHash(t[1]),
+    startEpoch: epoch(t[2]),
+    endEpoch: epoch(t[3]),
+    timestamp: s.timestamp ?? 0,
+    txHash: s.txHash ?? null,
+  }
+}
@@ -0,0 +1,29 @@
+// CSV/JSON serialization shared by the API export endpoint and the dashboard's download buttons.
+// Amounts are written twice: raw units (exact BigInt) and EGLD (exact decimal string).
+import { toEgldString } from './format.js'
+
+export const EXPORT_FORMATS = ['csv', 'json']
+
+export const VOTER_COLUMNS = ['proposal', 'option', 'address', 'votes', 'stake', 'stakeEgld', 'power', 'powerEgld']
+
+// Quote fields containing separators, quotes or newlines (RFC 4180)
+const csvField = (value) => {
+  const s = value == null ? '' : String(value)
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+export const csvLine = (values) => `${values.map(csvField).join(',')}\r\n`
+
+export const toCsv = (columns, rows) => csvLine(columns) + rows.map((r) => csvLine(columns.map((c) => r[c]))).join('')
+
+// One export row per voter entry of aggregateProposal().voters[option]
+export const voterRow = (proposal, option, v) => ({
+  proposal,
+  option,
+  address: v.address,
+  votes: v.count,
+  stake: v.stake.toString(),
+  stakeEgld: toEgldString(BigInt(v.stake)),
+  power: v.power.toString(),
+  powerEgld: toEgldString(BigInt(v.power)),
+})
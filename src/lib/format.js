@@ -0,0 +1,50 @@
+// Display formatting for amounts and timestamps. Amounts are BigInt raw units (18 decimals).
+
+export const EGLD_DEC = 18n
+
+export const thousands = (n) => Number(n).toLocaleString('en-US')
+
+export const formatNumber = (n, decimals = 0) =>
+  Number(n).toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: decimals })
+
+export const bigThousands = (bi) => bi.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',')
+
+// Format bigints as eGLD (assume 18 decimals)
+export const formatEgld = (amount) => {
+  const neg = amount < 0n
+  let a = neg ? -amount : amount
+  const int = a / 10n ** EGLD_DEC
+  const frac = a % 10n ** EGLD_DEC
+  const fracStr = frac.toString().padStart(Number(EGLD_DEC), '0').slice(0, 4)
+  return `${neg ? '-' : ''}${bigThousands(int)}.${fracStr} EGLD`
+}
+
+// Convert BigInt amount (18 decimals) to a JS number of EGLD, with safe scaling
+export const toEgldNumber = (amount) => {
+  // keep 4 decimals precision: divide by 1e14 as BigInt, then by 1e4 as Number
+  const scaled = amount / 10n ** 14n
+  return Number(scaled) / 1e4
+}
+
+// Exact decimal EGLD string without grouping ("1234.5"), for exports where every raw unit counts
+export const toEgldString = (amount) => {
+  const neg = amount < 0n
+  const a = neg ? -amount : amount
+  const frac = (a % 10n ** EGLD_DEC).toString().padStart(Number(EGLD_DEC), '0').replace(/0+$/, '')
+  return `${neg ? '-' : ''}${a / 10n ** EGLD_DEC}${frac ? `.${frac}` : ''}`
+}
+
+// Parse a decimal EGLD amount ("1234.5") into raw units; null when it is not a plain number
+export const parseEgld = (text) => {
+  const m = String(text ?? '').replace(/[,_\s]/g, '').match(/^(\d+)(?:\.(\d*))?$/)
+  if (!m) return null
+  const frac = (m[2] ?? '').slice(0, Number(EGLD_DEC)).padEnd(Number(EGLD_DEC), '0')
+  return BigInt(m[1]) * 10n ** EGLD_DEC + BigInt(frac)
+}
+
+export const formatBps = (bps) => (bps == null ? '—' : `${(Number(bps) / 100).toFixed(2)}%`)
+
+// A ratio in basis points as a multiplier: 15000n → "×1.5000"
+export const formatRatioBps = (bps) => (bps == null ? '—' : `×${(Number(bps) / 10_000).toFixed(4)}`)
+
+export const formatTimestamp = (ts) => (ts ? new Date(ts * 1000).toLocaleString() : '—')
@@ -0,0 +1,51 @@
+// Proposal outcome against the governance parameters. All ratios are computed exactly on
+// BigInt amounts and expressed in basis points (1% = 100 bps).
+
+export const DEFAULT_GOVERNANCE_PARAMS = {
+  quorumPct: 20,
+  passThresholdPct: 50,
+  vetoThresholdPct: 33.33,
+  totalStaked: '', // EGLD; participation and quorum are unknown until this is set
+}
+
+export const STATUS = {
+  PASSING: 'passing',
+  FAILING: 'failing',
+  VETOED: 'vetoed',
+  QUORUM_NOT_MET: 'quorum-not-met',
+}
+
+export const pctToBps = (pct) => {
+  const n = Number(pct)
+  return Number.isFinite(n) ? BigInt(Math.round(n * 100)) : 0n
+}
+
+// Strict variant for query parameters: null unless the value is a percentage from 0 to 100
+export const parsePctBps = (pct) => {
+  const n = typeof pct === 'string' && pct.trim() === '' ? NaN : Number(pct)
+  return Number.isFinite(n) && n >= 0 && n <= 100 ? BigInt(Math.round(n * 100)) : null
+}
+
+export const ratioBps = (part, whole) => (whole > 0n ? (part * 10_000n) / whole : null)
+
+/**
+ * @param {{ byOption: Record<string, { power: bigint }>, totalPower: bigint }} tally
+ * @param {{ quorumBps: bigint, passThresholdBps: bigint, vetoThresholdBps: bigint, totalStaked: bigint|null }} params
+ */
+export function computeOutcome({ byOption, totalPower }, { quorumBps, passThresholdBps, vetoThresholdBps, totalStaked }) {
+  const power = (o) => byOption[o]?.power ?? 0n
+  const nonAbstain = power('yes') + power('no') + power('veto')
+
+  const participationBps = totalStaked ? ratioBps(totalPower, totalStaked) : null
+  const yesShareBps = ratioBps(power('yes'), nonAbstain)
+  const vetoShareBps = ratioBps(power('veto'), totalPower)
+  const quorumMet = participationBps == null ? null : participationBps >= quorumBps
+
+  let status
+  if (quorumMet === false) status = STATUS.QUORUM_NOT_MET
+  else if (vetoShareBps != null && vetoShareBps >= vetoThresholdBps) status = STATUS.VETOED
+  else if (yesShareBps != null && yesShareBps > passThresholdBps) status = STATUS.PASSING
+  else status = STATUS.FAILING
+
+  return { participationBps, yesShareBps, vetoShareBps, quorumMet, status }
+}
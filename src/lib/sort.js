@@ -0,0 +1,8 @@
+// Comparators for BigInt amounts, which cannot be subtracted into the Number that sort() expects.
+
+export const bigintAsc = (a, b) => (a > b ? 1 : a < b ? -1 : 0)
+export const bigintDesc = (a, b) => bigintAsc(b, a)
+
+// Largest `key` first
+export const descBy = (key) => (a, b) => bigintDesc(a[key], b[key])
+export const byPowerDesc = descBy('power')
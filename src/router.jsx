@@ -0,0 +1,39 @@
+import React, { useEffect, useState } from 'react'
+
+// Minimal history-API routing: the dashboard lives at `/`, voter profiles at `/address/erd1…`.
+const NAVIGATE_EVENT = 'app:navigate'
+
+export const navigate = (to) => {
+  window.history.pushState(null, '', to)
+  window.dispatchEvent(new Event(NAVIGATE_EVENT))
+}
+
+export function usePath() {
+  const [path, setPath] = useState(window.location.pathname)
+  useEffect(() => {
+    const update = () => setPath(window.location.pathname)
+    window.addEventListener('popstate', update)
+    window.addEventListener(NAVIGATE_EVENT, update)
+    return () => {
+      window.removeEventListener('popstate', update)
+      window.removeEventListener(NAVIGATE_EVENT, update)
+    }
+  }, [])
+  return path
+}
+
+export const addressPath = (address) => `/address/${address}`
+
+// Plain links that still open in a new tab on modifier-click
+export function Link({ to, children, ...props }) {
+  const onClick = (e) => {
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return
+    e.preventDefault()
+    navigate(to)
+  }
+  return (
+    <a href={to} onClick={onClick} {...props}>
+      {children}
+    </a>
+  )
+}
@@ -0,0 +1,46 @@
+import { useEffect, useRef, useState } from 'react'
+import { liveUrl } from '@/api'
+
+const FEED_SIZE = 20
+
+const toVote = (v) => ({ ...v, stake: BigInt(v.stake), power: BigInt(v.power) })
+
+// Subscribes to the API server's live stream. Returns the connection state, the time of the
+// server's last sync and the latest votes (newest first); `onVotes` fires for every batch of new votes.
+// EventSource reconnects by itself after errors; `hello` then re-seeds the feed.
+export function useLiveUpdates(onVotes) {
+  const [connected, setConnected] = useState(false)
+  const [syncedAt, setSyncedAt] = useState(null)
+  const [stale, setStale] = useState(false)
+  const [feed, setFeed] = useState([])
+  const onVotesRef = useRef(onVotes)
+  onVotesRef.current = onVotes
+
+  useEffect(() => {
+    if (typeof EventSource === 'undefined') return undefined
+    const source = new EventSource(liveUrl())
+    const meta = (data) => {
+      setSyncedAt(data.syncedAt || null)
+      setStale(!!data.stale)
+    }
+    source.onopen = () => setConnected(true)
+    source.onerror = () => setConnected(false)
+    source.addEventListener('hello', (e) => {
+      const data = JSON.parse(e.data)
+      setConnected(true)
+      meta(data)
+      setFeed(data.votes.map(toVote))
+    })
+    source.addEventListener('votes', (e) => {
+      const data = JSON.parse(e.data)
+      const votes = data.votes.map(toVote)
+      meta(data)
+      setFeed((prev) => [...votes, ...prev].slice(0, FEED_SIZE))
+      onVotesRef.current?.(votes)
+    })
+    source.addEventListener('sync', (e) => meta(JSON.parse(e.data)))
+    return () => source.close()
+  }, [])
+
+  return { connected, syncedAt, stale, feed }
+}
@@ -0,0 +1,98 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import { createAlerter, matchRules, parseAlertConfig } from '../server/alerts.js'
+import { ALICE, E18, XOXNO, delegated, direct } from './fixtures.js'
+
+const NOW = 1_700_000_000
+
+// Local webhook receiver: answers with the queued statuses first, then 200
+let server
+let url
+const received = []
+const statuses = []
+
+before(async () => {
+  server = http.createServer(async (req, res) => {
+    let body = ''
+    for await (const chunk of req) body += chunk
+    received.push(JSON.parse(body))
+    res.writeHead(statuses.shift() ?? 200)
+    res.end()
+  })
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+  url = `http://127.0.0.1:${server.address().port}/hook`
+})
+
+after(() => server.close())
+
+const config = (rules) => parseAlertConfig({ webhooks: [url], rules })
+const alerter = (rules, options = {}) =>
+  createAlerter({ config: config(rules), registry: () => ({ [XOXNO]: { name: 'xoxno' } }), baseDelayMs: 1, now: () => NOW, ...options })
+
+test('parseAlertConfig rejects unknown rule types, bad amounts, bad addresses and bad max ages', () => {
+  assert.throws(() => parseAlertConfig({ rules: [{ type: 'moon' }] }), /rules\[0\]: type must be one of/)
+  assert.throws(() => parseAlertConfig({ rules: [{ type: 'power', minEgld: 'lots' }] }), /minEgld/)
+  assert.throws(() => parseAlertConfig({ rules: [{ type: 'address', addresses: ['erd1nope'] }] }), /invalid address erd1nope/)
+  assert.throws(() => parseAlertConfig({ webhooks: ['ftp://x'] }), /http\(s\) URLs/)
+  for (const maxAgeMinutes of ['60', -5, 0, Infinity, NaN]) {
+    assert.throws(() => parseAlertConfig({ maxAgeMinutes }), /maxAgeMinutes must be a positive number/)
+  }
+  assert.equal(parseAlertConfig({}).maxAgeSeconds, 3600)
+  assert.equal(parseAlertConfig({ maxAgeMinutes: 1.5 }).maxAgeSeconds, 90)
+})
+
+test('matchRules applies power, address, delegation and flip rules', () => {
+  const { rules } = parseAlertConfig({
+    rules: [
+      { name: 'whale', type: 'power', minEgld: '1000' },
+      { type: 'address', addresses: [ALICE.bech32] },
+      { type: 'delegation' },
+      { type: 'flip' },
+    ],
+  })
+  const vote = { kind: 'direct', voter: ALICE.bech32, source: null, option: 'no', power: 1000n * E18 }
+  assert.deepEqual(matchRules(vote, rules, undefined), ['whale', 'address'])
+  assert.deepEqual(matchRules({ ...vote, power: 999n * E18 }, rules, 'yes'), ['address', 'flip'])
+  assert.deepEqual(matchRules({ ...vote, voter: 'erd1x', kind: 'delegated', source: XOXNO, power: 1n }, rules, 'no'), ['delegation'])
+})
+
+test('matching votes are posted to the webhook with the previous option', async () => {
+  received.length = 0
+  const a = alerter([{ type: 'flip' }, { type: 'delegation', contracts: [XOXNO] }])
+  a.seed([direct('e1', NOW, 'yes', E18)])
+  await a.handle([direct('e2', NOW, 'no', E18), delegated('e3', NOW, XOXNO, 'veto', 5n * E18)])
+  assert.equal(received.length, 2)
+  assert.deepEqual(received[0].rules, ['flip'])
+  assert.equal(received[0].previousOption, 'yes')
+  assert.equal(received[0].vote.option, 'no')
+  assert.equal(received[0].vote.power, E18.toString())
+  assert.deepEqual(received[1].rules, ['delegation'])
+  assert.equal(received[1].vote.sourceLabel, 'xoxno')
+  assert.deepEqual(a.deliveries().map((d) => [d.vote, d.delivered, d.attempts]), [['e3', true, 1], ['e2', true, 1]])
+})
+
+test('failed deliveries are retried and logged; client errors are not retried', async () => {
+  received.length = 0
+  statuses.push(500, 503)
+  const a = alerter([{ type: 'power', minEgld: '1' }], { retries: 3 })
+  await a.handle([direct('e1', NOW, 'yes', E18)])
+  assert.equal(received.length, 3)
+  assert.deepEqual(a.deliveries()[0], { ...a.deliveries()[0], delivered: true, status: 200, error: null, attempts: 3 })
+
+  statuses.push(500, 500, 500, 500)
+  await a.handle([direct('e2', NOW, 'yes', E18)])
+  assert.deepEqual(a.deliveries()[0], { ...a.deliveries()[0], vote: 'e2', delivered: false, status: 500, error: 'HTTP 500', attempts: 4 })
+
+  statuses.push(400)
+  await a.handle([direct('e3', NOW, 'yes', E18)])
+  assert.deepEqual(a.deliveries()[0], { ...a.deliveries()[0], vote: 'e3', delivered: false, status: 400, attempts: 1 })
+})
+
+test('votes older than maxAgeMinutes only update the flip state', async () => {
+  received.length = 0
+  const a = alerter([{ type: 'flip' }])
+  await a.handle([direct('e1', NOW - 7200, 'yes', E18)])
+  await a.handle([direct('e2', NOW, 'no', E18)])
+  assert.deepEqual(received.map((r) => [r.id, r.previousOption]), [['e2', 'yes']])
+})
@@ -0,0 +1,94 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { run } from '../server/cli.js'
+import { ALICE, E18, XOXNO, delegated, direct } from './fixtures.js'
+
+// Written out of order on purpose: dumps are queried like ES, sorted by timestamp. The last hit is
+// not a governance event and must be ignored.
+const hits = [
+  direct('e2', 200, 'no', 3n * E18),
+  direct('e1', 100, 'yes', 3n * E18),
+  delegated('e3', 150, XOXNO, 'no', E18 / 2n, { stake: E18 }),
+  direct('e4', 300, 'yes', 1n, { contract: XOXNO }),
+]
+
+let dir
+let dump
+let registry
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'governance-cli-'))
+  dump = path.join(dir, 'dump.ndjson')
+  registry = path.join(dir, 'registry.json')
+  await fs.writeFile(dump, hits.map((h) => JSON.stringify(h)).join('\n') + '\n')
+  await fs.writeFile(registry, JSON.stringify({ [XOXNO]: { name: 'xoxno' } }))
+})
+
+after(() => fs.rm(dir, { recursive: true, force: true }))
+
+const cli = async (...args) => {
+  let stdout = ''
+  let stderr = ''
+  const code = await run([...args, '--dump', dump, '--registry', registry], {
+    stdout: { write: (s) => (stdout += s) },
+    stderr: { write: (s) => (stderr += s) },
+  })
+  return { code, stdout, stderr }
+}
+
+test('summary --format json aggregates the dump with effective votes', async () => {
+  const { code, stdout } = await cli('summary', '--proposal', '1', '--format', 'json')
+  assert.equal(code, 0)
+  const summary = JSON.parse(stdout)
+  assert.equal(summary.supersededVotes, 1)
+  assert.equal(summary.byOption.no.power, (3n * E18 + E18 / 2n).toString())
+  assert.deepEqual(summary.delegation, [{ name: 'xoxno', logo: null, power: (E18 / 2n).toString(), count: 1 }])
+})
+
+test('voters --format csv writes raw and EGLD amounts', async () => {
+  const { code, stdout } = await cli('voters', '--option', 'no', '--format', 'csv')
+  assert.equal(code, 0)
+  assert.equal(
+    stdout,
+    'proposal,option,address,votes,stake,stakeEgld,power,powerEgld\r\n' +
+      `1,no,${ALICE.bech32},1,3000000000000000000,3,3000000000000000000,3\r\n` +
+      '1,no,erd1spyavw0956vq68xj8y4tenjpq2wd5a9p2c6j8gsz7ztyrnpxrruqzu66jx,1,1000000000000000000,1,500000000000000000,0.5\r\n',
+  )
+})
+
+test('address lists superseded votes only in the raw view', async () => {
+  assert.equal((await cli('address', ALICE.bech32)).stdout.split('\n').filter((l) => l.startsWith('1 ')).length, 1)
+  const raw = await cli('address', ALICE.bech32, '--view', 'raw', '--format', 'json')
+  assert.deepEqual(JSON.parse(raw.stdout).votes.map((v) => [v.option, v.superseded]), [['yes', true], ['no', false]])
+})
+
+test('capture writes the governance events back as a sorted dump', async () => {
+  const out = path.join(dir, 'capture.ndjson')
+  const { code, stderr } = await cli('capture', '--out', out)
+  assert.equal(code, 0)
+  assert.match(stderr, /captured 3 events/)
+  const captured = (await fs.readFile(out, 'utf8')).trim().split('\n').map((l) => JSON.parse(l))
+  assert.deepEqual(captured.map((h) => h._id), ['e1', 'e3', 'e2'])
+})
+
+test('invalid usage exits with 2 and prints the usage text', async () => {
+  const { code, stderr } = await cli('voters', '--format', 'xml')
+  assert.equal(code, 2)
+  assert.match(stderr, /Unknown format xml/)
+  assert.match(stderr, /Usage: governance-stats/)
+  assert.equal((await cli('summary', '--proposal', '9')).code, 1)
+  assert.equal((await cli('address', 'erd1nope')).code, 1)
+})
+
+test('unknown and inherited command names print the usage text', async () => {
+  for (const name of ['nope', 'toString', 'constructor', '__proto__']) {
+    const { code, stdout, stderr } = await cli(name)
+    assert.equal(code, 2, name)
+    assert.equal(stdout, '')
+    assert.match(stderr, new RegExp(`Unknown command ${name}`))
+    assert.match(stderr, /Usage: governance-stats/)
+  }
+})
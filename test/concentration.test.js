@@ -0,0 +1,45 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { concentrationMetrics } from '../src/lib/concentration.js'
+
+const E18 = 10n ** 18n
+
+test('equal voters: no concentration', () => {
+  const m = concentrationMetrics(Array(4).fill(5n * E18))
+  assert.equal(m.voters, 4)
+  assert.equal(m.totalPower, 20n * E18)
+  assert.equal(m.nakamoto, 3)
+  assert.equal(m.giniBps, 0n)
+  assert.equal(m.hhi, 2500n)
+  assert.equal(m.top10ShareBps, 10_000n)
+  assert.deepEqual(m.lorenz.map((p) => [p.votersBps, p.powerBps]), [[0n, 0n], [2500n, 2500n], [5000n, 5000n], [7500n, 7500n], [10_000n, 10_000n]])
+})
+
+test('one whale among small holders', () => {
+  // 1 voter with 97 units, 3 with 1 each
+  const m = concentrationMetrics([1n, 97n, 1n, 1n, 0n])
+  assert.equal(m.voters, 4)
+  assert.equal(m.nakamoto, 1)
+  // (2·(1+2+3+4·97) − 5·100) / (4·100) = 0.72
+  assert.equal(m.giniBps, 7200n)
+  // 0.97² + 3·0.01² = 0.9412
+  assert.equal(m.hhi, 9412n)
+  assert.deepEqual(m.lorenz.at(-2), { votersBps: 7500n, powerBps: 300n })
+})
+
+test('strict majority and exactness on huge amounts', () => {
+  assert.equal(concentrationMetrics([50n, 50n]).nakamoto, 2)
+  assert.equal(concentrationMetrics([51n, 49n]).nakamoto, 1)
+  const whale = 10n ** 30n
+  const m = concentrationMetrics([whale, ...Array(200).fill(1n)])
+  assert.equal(m.top10ShareBps, 9999n)
+  assert.equal(m.top100ShareBps, 9999n)
+  assert.equal(m.lorenz.length, 101)
+})
+
+test('no voters', () => {
+  const m = concentrationMetrics([])
+  assert.equal(m.nakamoto, null)
+  assert.equal(m.giniBps, null)
+  assert.deepEqual(m.lorenz, [])
+})
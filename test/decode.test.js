@@ -0,0 +1,169 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  bech32Encode,
+  convertBits,
+  decodeOption,
+  decodeProposal,
+  decodeVote,
+  hexToAscii,
+  hexToBigInt,
+  hexToBech32Erd,
+  hexToBytes,
+  isErdAddress,
+  parseErdAddress,
+} from '../src/lib/decode.js'
+import { ALICE, BOB, GOVERNANCE, XOXNO, ascii } from './fixtures.js'
+
+test('hexToBigInt decodes even and odd-length hex', () => {
+  assert.equal(hexToBigInt('0a'), 10n)
+  assert.equal(hexToBigInt('a'), 10n)
+  assert.equal(hexToBigInt('100'), 256n)
+  assert.equal(hexToBigInt('0de0b6b3a7640000'), 10n ** 18n)
+})
+
+test('hexToBigInt reads an empty topic as 0n and anything that is not hex as null', () => {
+  assert.equal(hexToBigInt(''), 0n)
+  assert.equal(hexToBigInt(undefined), null)
+  assert.equal(hexToBigInt('zz'), null)
+  assert.equal(hexToBigInt('0x10'), null)
+})
+
+test('hexToAscii decodes text and strips trailing NULs', () => {
+  assert.equal(hexToAscii(ascii('yes')), 'yes')
+  assert.equal(hexToAscii(ascii('no') + '0000'), 'no')
+  assert.equal(hexToAscii('hello'), '')
+  assert.equal(hexToAscii(undefined), '')
+})
+
+test('decodeOption maps known options and aliases', () => {
+  assert.equal(decodeOption(ascii('yes')), 'yes')
+  assert.equal(decodeOption(ascii('NO')), 'no')
+  assert.equal(decodeOption(ascii('abstain')), 'abstain')
+  assert.equal(decodeOption(ascii('veto')), 'veto')
+  assert.equal(decodeOption(ascii('ncv')), 'veto')
+  assert.equal(decodeOption(ascii('veto_power')), 'veto')
+  assert.equal(decodeOption(ascii('maybe')), 'unknown')
+  assert.equal(decodeOption(''), 'unknown')
+})
+
+test('decodeProposal reads the proposal nonce as a decimal string', () => {
+  assert.equal(decodeProposal('01'), '1')
+  assert.equal(decodeProposal('0100'), '256')
+  assert.equal(decodeProposal(''), '0')
+  assert.equal(decodeProposal('nope'), null)
+})
+
+test('hexToBech32Erd encodes known addresses', () => {
+  for (const { hex, bech32 } of [ALICE, BOB, GOVERNANCE]) assert.equal(hexToBech32Erd(hex), bech32)
+  assert.equal(hexToBech32Erd(ALICE.hex.toUpperCase()), ALICE.bech32)
+})
+
+test('hexToBech32Erd rejects anything but 32 bytes of hex', () => {
+  assert.equal(hexToBech32Erd(ALICE.hex.slice(2)), undefined)
+  assert.equal(hexToBech32Erd(ALICE.hex + '00'), undefined)
+  assert.equal(hexToBech32Erd('zz'.repeat(32)), undefined)
+  assert.equal(hexToBech32Erd(undefined), undefined)
+})
+
+test('decodeVote decodes a direct vote', () => {
+  const hit = {
+    _id: 'ev-1',
+    _source: {
+      identifier: 'vote',
+      address: ALICE.bech32,
+      timestamp: 1700000000,
+      txHash: 'abc',
+      topics: ['05', ascii('yes'), '0de0b6b3a7640000', '1bc16d674ec80000'],
+    },
+  }
+  assert.deepEqual(decodeVote(hit), {
+    id: 'ev-1',
+    kind: 'direct',
+    proposal: '5',
+    option: 'yes',
+    voter: ALICE.bech32,
+    source: null,
+    stake: 10n ** 18n,
+    power: 2n * 10n ** 18n,
+    timestamp: 1700000000,
+    txHash: 'abc',
+  })
+})
+
+test('decodeVote decodes a delegated vote', () => {
+  const hit = {
+    _id: 'ev-2',
+    _source: {
+      identifier: 'delegateVote',
+      address: XOXNO,
+      timestamp: 1700000100,
+      topics: ['05', ascii('veto'), BOB.hex, '64', 'c8'],
+    },
+  }
+  assert.deepEqual(decodeVote(hit), {
+    id: 'ev-2',
+    kind: 'delegated',
+    proposal: '5',
+    option: 'veto',
+    voter: BOB.bech32,
+    source: XOXNO,
+    stake: 100n,
+    power: 200n,
+    timestamp: 1700000100,
+    txHash: null,
+  })
+})
+
+test('decodeVote keeps the raw voter topic when it is not a 32-byte key', () => {
+  const hit = { _id: 'ev-3', _source: { identifier: 'delegateVote', address: XOXNO, topics: ['01', ascii('no'), 'abcd', '1', '2'] } }
+  assert.equal(decodeVote(hit).voter, 'abcd')
+})
+
+test('decodeVote returns null for malformed or unrelated events', () => {
+  assert.equal(decodeVote({ _id: 'a', _source: { identifier: 'vote', topics: ['01', ascii('yes'), '01'] } }), null)
+  assert.equal(decodeVote({ _id: 'b', _source: { identifier: 'delegateVote', topics: ['01', ascii('yes'), BOB.hex, '01'] } }), null)
+  assert.equal(decodeVote({ _id: 'c', _source: { identifier: 'vote' } }), null)
+  assert.equal(decodeVote({ _id: 'd', _source: { identifier: 'proposal', topics: ['01', '02', '03', '04'] } }), null)
+  assert.equal(decodeVote({}), null)
+  assert.equal(decodeVote(undefined), null)
+})
+
+test('decodeVote drops votes whose proposal, stake or power topic is not hex', () => {
+  const direct = (topics) => decodeVote({ _id: 'v', _source: { identifier: 'vote', address: ALICE.bech32, topics } })
+  const delegated = (topics) => decodeVote({ _id: 'd', _source: { identifier: 'delegateVote', address: XOXNO, topics } })
+  assert.equal(direct(['0x5', ascii('yes'), '01', '01']), null)
+  assert.equal(direct(['05', ascii('yes'), 'stake', '01']), null)
+  assert.equal(direct(['05', ascii('yes'), '01', null]), null)
+  assert.equal(delegated(['05', ascii('no'), BOB.hex, '01', 'zz']), null)
+  assert.equal(delegated(['05', ascii('no'), BOB.hex, 'zz', '01']), null)
+  // Empty amounts are zero, not malformed
+  assert.equal(direct(['05', ascii('yes'), '', '']).power, 0n)
+})
+
+test('parseErdAddress round-trips known addresses', () => {
+  for (const { hex, bech32 } of [ALICE, BOB, GOVERNANCE]) {
+    assert.deepEqual(parseErdAddress(bech32), { address: bech32, hex })
+    assert.equal(hexToBech32Erd(parseErdAddress(bech32).hex), bech32)
+  }
+  assert.deepEqual(parseErdAddress(`  ${ALICE.bech32.toUpperCase()} `), { address: ALICE.bech32, hex: ALICE.hex })
+})
+
+test('parseErdAddress reports typos and malformed input', () => {
+  const typo = ALICE.bech32.slice(0, 20) + (ALICE.bech32[20] === 'q' ? 'p' : 'q') + ALICE.bech32.slice(21)
+  assert.match(parseErdAddress(typo).error, /checksum/)
+  assert.match(parseErdAddress(ALICE.bech32.replace('erd1q', 'erd1b')).error, /invalid character/)
+  assert.match(parseErdAddress('Erd1' + ALICE.bech32.slice(4)).error, /mixes upper and lower case/)
+  assert.match(parseErdAddress('').error, /empty/)
+  assert.match(parseErdAddress('erd1qq').error, /length/)
+  assert.equal(isErdAddress(ALICE.bech32), true)
+  assert.equal(isErdAddress(ALICE.bech32.slice(0, -1)), false)
+})
+
+test('parseErdAddress rejects other prefixes and non-32-byte payloads', () => {
+  // valid bech32 strings that are not MultiversX account addresses
+  const other = bech32Encode('bc', convertBits(hexToBytes(ALICE.hex), 8, 5, true))
+  assert.match(parseErdAddress(other).error, /must start with "erd1"/)
+  const short = bech32Encode('erd', convertBits(hexToBytes(ALICE.hex.slice(0, 40)), 8, 5, true))
+  assert.match(parseErdAddress(short).error, /32-byte/)
+})
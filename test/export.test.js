@@ -0,0 +1,28 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { VOTER_COLUMNS, csvLine, toCsv, voterRow } from '../src/lib/export.js'
+import { toEgldString } from '../src/lib/format.js'
+
+test('toEgldString keeps every raw unit', () => {
+  assert.equal(toEgldString(0n), '0')
+  assert.equal(toEgldString(10n ** 18n), '1')
+  assert.equal(toEgldString(1234n * 10n ** 17n), '123.4')
+  assert.equal(toEgldString(1n), '0.000000000000000001')
+  assert.equal(toEgldString(-15n * 10n ** 17n), '-1.5')
+  assert.equal(toEgldString(123456789012345678901234567n), '123456789.012345678901234567')
+})
+
+test('csvLine quotes separators, quotes and newlines', () => {
+  assert.equal(csvLine(['a', 1, null, undefined]), 'a,1,,\r\n')
+  assert.equal(csvLine(['x,y', 'say "hi"', 'two\nlines']), '"x,y","say ""hi""","two\nlines"\r\n')
+})
+
+test('voterRow exports raw and EGLD amounts in VOTER_COLUMNS order', () => {
+  const row = voterRow('7', 'yes', { address: 'erd1abc', count: 2, stake: 5n * 10n ** 17n, power: 3n * 10n ** 18n + 1n })
+  assert.deepEqual(Object.keys(row), VOTER_COLUMNS)
+  assert.equal(
+    toCsv(VOTER_COLUMNS, [row]),
+    'proposal,option,address,votes,stake,stakeEgld,power,powerEgld\r\n' +
+      '7,yes,erd1abc,2,500000000000000000,0.5,3000000000000000001,3.000000000000000001\r\n',
+  )
+})
@@ -0,0 +1,42 @@
+// Shared test fixtures: well-known MultiversX devnet wallets, delegation contracts, the governance
+// system contract and builders for the raw ES hits of governance events.
+
+export const ALICE = { hex: '0139472eff6886771a982f3083da5d421f24c29181e63888228dc81ca60d69e1', bech32: 'erd1qyu5wthldzr8wx5c9ucg8kjagg0jfs53s8nr3zpz3hypefsdd8ssycr6th' }
+export const BOB = { hex: '8049d639e5a6980d1cd2392abcce41029cda74a1563523a202f09641cc2618f8', bech32: 'erd1spyavw0956vq68xj8y4tenjpq2wd5a9p2c6j8gsz7ztyrnpxrruqzu66jx' }
+export const GOVERNANCE = { hex: '000000000000000000010000000000000000000000000000000000000003ffff', bech32: 'erd1qqqqqqqqqqqqqqqpqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqrlllsrujgla' }
+export const XOXNO = 'erd1qqqqqqqqqqqqqpgq6uzdzy54wnesfnlaycxwymrn9texlnmyah0ssrfvk6'
+export const HATOM = 'erd1qqqqqqqqqqqqqpgq4gzfcw7kmkjy8zsf04ce6dl0auhtzjx078sslvrf4e'
+
+export const E18 = 10n ** 18n
+
+export const ascii = (s) => Buffer.from(s).toString('hex')
+export const hex = (n) => n.toString(16)
+
+// A direct `vote` by Alice (or `voter`) logged by the governance contract (or `contract`); stake
+// defaults to the power
+export const direct = (id, ts, option, power, { proposal = '01', stake = power, voter = ALICE.bech32, contract = GOVERNANCE.bech32 } = {}) => ({
+  _id: id,
+  _source: {
+    identifier: 'vote',
+    address: voter,
+    logAddress: contract,
+    timestamp: ts,
+    txHash: `tx-${id}`,
+    order: 0,
+    topics: [proposal, ascii(option), hex(stake), hex(power)],
+  },
+})
+
+// A `delegateVote` relayed by the `source` contract for Bob (or the `delegator` key)
+export const delegated = (id, ts, source, option, power, { proposal = '01', stake = power, delegator = BOB.hex } = {}) => ({
+  _id: id,
+  _source: {
+    identifier: 'delegateVote',
+    address: source,
+    logAddress: GOVERNANCE.bech32,
+    timestamp: ts,
+    txHash: `tx-${id}`,
+    order: 0,
+    topics: [proposal, ascii(option), delegator, hex(stake), hex(power)],
+  },
+})
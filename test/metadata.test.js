@@ -0,0 +1,124 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import { createProposalMetadata, epochStartTime, proposalStatus } from '../server/metadata.js'
+import { createDumpSearch } from '../server/offline.js'
+import { decodeProposalCreated } from '../src/lib/decode.js'
+import { ALICE, GOVERNANCE, ascii } from './fixtures.js'
+
+const COMMIT = '1db734f7a8cd8f7d0e3ce9d7f7f5de2a6a7b8c9d'
+const NOW = 1_700_000_000_000
+
+const b64 = (hex) => Buffer.from(hex, 'hex').toString('base64')
+const b64Ascii = (s) => Buffer.from(s).toString('base64')
+
+const created = (id, nonce, startEpoch, endEpoch) => ({
+  _id: id,
+  _source: {
+    identifier: 'proposal',
+    address: ALICE.bech32,
+    logAddress: GOVERNANCE.bech32,
+    timestamp: 1_699_000_000,
+    txHash: `tx${id}`,
+    topics: [nonce, ascii(COMMIT), startEpoch, endEpoch],
+  },
+})
+
+// viewProposal: cost, commitHash, nonce, proposer, startEpoch, endEpoch, quorumStake, yes, no, veto, abstain, closed, passed
+const viewReturn = (nonce, startEpoch, endEpoch, closed, passed) =>
+  [b64('00'), b64Ascii(COMMIT), b64(nonce), b64(ALICE.hex), b64(startEpoch), b64(endEpoch), '', '', '', '', '', b64Ascii(String(closed)), b64Ascii(String(passed))]
+
+// Stub gateway: epoch 100 with 1,000 of 14,400 six-second rounds passed; proposal 1 is closed and
+// passed, 2 is open, 3 does not exist
+let server
+let gatewayUrl
+const requests = []
+
+before(async () => {
+  server = http.createServer(async (req, res) => {
+    let body = ''
+    for await (const chunk of req) body += chunk
+    requests.push(req.url)
+    const ok = (data) => res.end(JSON.stringify({ data, error: '', code: 'successful' }))
+    if (req.url === '/network/status/4294967295') {
+      return ok({ status: { erd_epoch_number: 100, erd_rounds_passed_in_current_epoch: 1000, erd_rounds_per_epoch: 14400 } })
+    }
+    if (req.url === '/network/config') return ok({ config: { erd_round_duration: 6000, erd_rounds_per_epoch: 14400 } })
+    const nonce = JSON.parse(body).args[0]
+    if (nonce === '01') return ok({ data: { returnCode: 'ok', returnData: viewReturn('01', '5a', '5e', true, true) } })
+    if (nonce === '02') return ok({ data: { returnCode: 'ok', returnData: viewReturn('02', '63', '66', false, false) } })
+    return ok({ data: { returnCode: 'user error', returnMessage: 'proposal not found', returnData: null } })
+  })
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+  gatewayUrl = `http://127.0.0.1:${server.address().port}`
+})
+
+after(() => server.close())
+
+test('decodeProposalCreated reads the nonce, commit hash and voting epochs', () => {
+  assert.deepEqual(decodeProposalCreated(created('p1', '01', '5a', '5e')), {
+    id: '1',
+    proposer: ALICE.bech32,
+    commitHash: COMMIT,
+    startEpoch: 90,
+    endEpoch: 94,
+    timestamp: 1_699_000_000,
+    txHash: 'txp1',
+  })
+  assert.equal(decodeProposalCreated({ _source: { identifier: 'vote', topics: ['01', '', '', ''] } }), null)
+})
+
+test('proposalStatus and epochStartTime follow the current epoch', () => {
+  const window = { closed: false, passed: false, startEpoch: 99, endEpoch: 102 }
+  assert.equal(proposalStatus(window, 98), 'pending')
+  assert.equal(proposalStatus(window, 102), 'active')
+  assert.equal(proposalStatus(window, 103), 'ended')
+  assert.equal(proposalStatus({ ...window, closed: true }, 103), 'failed')
+  assert.equal(proposalStatus(window, null), null)
+  const network = { epoch: 100, roundsPassed: 1000, roundsPerEpoch: 14400, roundDurationMs: 6000, at: 1_000_000 }
+  assert.equal(epochStartTime(100, network), 1_000_000 - 6000)
+  assert.equal(epochStartTime(101, network), 1_000_000 + 13_400 * 6)
+})
+
+test('metadata merges creation events with gateway views and caches closed proposals', async () => {
+  requests.length = 0
+  let now = NOW
+  const search = createDumpSearch([created('p1', '01', '5a', '5e'), created('p2', '02', '63', '66')])
+  const metadata = createProposalMetadata({ governanceSc: GOVERNANCE.bech32, search, gatewayUrl, ttlMs: 1000, now: () => now })
+
+  const first = await metadata.get(['2', '3'])
+  assert.deepEqual(first.proposals.map((p) => [p.id, p.status]), [['3', null], ['2', 'active'], ['1', 'passed']])
+  const open = first.proposals.find((p) => p.id === '2')
+  assert.equal(open.commitHash, COMMIT)
+  assert.equal(open.proposer, ALICE.bech32)
+  assert.equal(open.createdAt, 1_699_000_000)
+  assert.equal(open.votingEndsAt, NOW / 1000 + (3 * 14400 - 1000) * 6)
+  assert.equal(first.currentEpoch, 100)
+  assert.match(first.errors.gateway, /proposal not found/)
+
+  // Within the TTL nothing is refetched; after it, only the open and unknown proposals are
+  requests.length = 0
+  await metadata.get(['2', '3'])
+  assert.deepEqual(requests, [])
+  now += 1000
+  await metadata.get(['2', '3'])
+  assert.equal(requests.filter((r) => r === '/vm-values/query').length, 2)
+})
+
+test('an invalid gateway URL is rejected when the metadata source is created', () => {
+  const search = createDumpSearch([])
+  assert.throws(() => createProposalMetadata({ governanceSc: GOVERNANCE.bech32, search, gatewayUrl: 'gateway.multiversx.com' }), /Invalid gateway URL/)
+  assert.throws(() => createProposalMetadata({ governanceSc: GOVERNANCE.bech32, search, gatewayUrl: 'ftp://gateway.multiversx.com' }), /must be http\(s\)/)
+})
+
+test('without a gateway only the creation events are used', async () => {
+  const search = createDumpSearch([created('p1', '01', '5a', '5e')])
+  const metadata = createProposalMetadata({ governanceSc: GOVERNANCE.bech32, search, gatewayUrl: '' })
+  const { proposals, gateway, errors } = await metadata.get(['1'])
+  assert.equal(gateway, null)
+  assert.deepEqual(errors, { events: null, gateway: null })
+  assert.deepEqual(
+    [proposals[0].startEpoch, proposals[0].endEpoch, proposals[0].status, proposals[0].votingEndsAt],
+    [90, 94, null, null],
+  )
+})
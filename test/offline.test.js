@@ -0,0 +1,119 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import { createDumpSearch, matchesQuery } from '../server/offline.js'
+import { buildSyncQuery, createEventStore, searchEs } from '../server/store.js'
+import { GOVERNANCE } from './fixtures.js'
+
+const SC = GOVERNANCE.bech32
+
+const hit = (id, timestamp, identifier = 'vote', extra = {}) => ({
+  _id: id,
+  _source: { identifier, logAddress: SC, timestamp, txHash: `tx-${id}`, order: 0, ...extra },
+})
+
+// Same-second events (e2/e3) and unrelated ones (other contract, other identifier) mixed in
+const hits = [
+  hit('e3', 200),
+  hit('e1', 100, 'delegateVote'),
+  hit('x1', 150, 'vote', { logAddress: 'erd1other' }),
+  hit('e2', 200),
+  hit('x2', 160, 'proposal'),
+  hit('e4', 300, 'vote', { logAddress: undefined, address: SC }),
+]
+
+test('matchesQuery evaluates term, terms, range and bool clauses', () => {
+  const h = hit('a', 100, 'vote', { topics: ['01', '02'] })
+  assert.equal(matchesQuery(h, { term: { identifier: 'vote' } }), true)
+  assert.equal(matchesQuery(h, { term: { identifier: { value: 'proposal' } } }), false)
+  assert.equal(matchesQuery(h, { term: { topics: '02' } }), true)
+  assert.equal(matchesQuery(h, { terms: { identifier: ['vote', 'delegateVote'] } }), true)
+  assert.equal(matchesQuery(h, { term: { _id: 'a' } }), true)
+  assert.equal(matchesQuery(h, { range: { timestamp: { gte: 100, lt: 101 } } }), true)
+  assert.equal(matchesQuery(h, { range: { timestamp: { gt: 100 } } }), false)
+  assert.equal(matchesQuery(h, { bool: { should: [{ term: { identifier: 'x' } }, { term: { identifier: 'vote' } }] } }), true)
+  assert.equal(matchesQuery(h, { bool: { should: [{ term: { identifier: 'x' } }] } }), false)
+  assert.equal(matchesQuery(h, { bool: { must: [{ match_all: {} }], must_not: { term: { identifier: 'vote' } } } }), false)
+  assert.throws(() => matchesQuery(h, { wildcard: { identifier: 'v*' } }), /Unsupported query clause "wildcard"/)
+})
+
+test('sync queries page through a dump with search_after', async () => {
+  const search = createDumpSearch(hits)
+  const ids = []
+  let searchAfter
+  for (;;) {
+    const { total, hits: page } = (await search(buildSyncQuery(SC, null, searchAfter, 2))).hits
+    assert.equal(total.value, 4)
+    ids.push(...page.map((h) => h._id))
+    if (page.length < 2) break
+    searchAfter = page[page.length - 1].sort
+  }
+  assert.deepEqual(ids, ['e1', 'e2', 'e3', 'e4'])
+
+  const since = await search(buildSyncQuery(SC, 200, undefined, 10))
+  assert.deepEqual(since.hits.hits.map((h) => h._id), ['e2', 'e3', 'e4'])
+})
+
+test('events of one transaction are paged by their log order', async () => {
+  const search = createDumpSearch([
+    hit('b', 100, 'vote', { txHash: 'tx', order: 1 }),
+    hit('a', 100, 'vote', { txHash: 'tx', order: 2 }),
+    hit('c', 100, 'vote', { txHash: 'tx', order: 0 }),
+  ])
+  const first = (await search(buildSyncQuery(SC, null, undefined, 2))).hits.hits
+  const rest = (await search(buildSyncQuery(SC, null, first[1].sort, 2))).hits.hits
+  assert.deepEqual([...first, ...rest].map((h) => h._id), ['c', 'b', 'a'])
+  assert.ok(!buildSyncQuery(SC).sort.some((s) => '_id' in s))
+})
+
+test('sort order, from and size', async () => {
+  const search = createDumpSearch(hits)
+  const res = await search({ sort: [{ timestamp: 'desc' }], from: 1, size: 3 })
+  assert.equal(res.hits.total.value, 6)
+  assert.deepEqual(res.hits.hits.map((h) => h._id), ['e2', 'e3', 'x2'])
+  assert.deepEqual(res.hits.hits[0].sort, [200])
+})
+
+test('the event store syncs from a dump like from Elasticsearch and notifies subscribers', async () => {
+  const dump = hits.slice(0, 4)
+  const store = createEventStore({ governanceSc: SC, syncIntervalMs: 0, search: (body) => createDumpSearch(dump)(body) })
+  const batches = []
+  store.subscribe((fresh) => batches.push(fresh.map((e) => e._id)))
+  assert.equal(await store.sync(), 3)
+  dump.push(...hits.slice(4))
+  assert.equal(await store.sync(), 1)
+  assert.deepEqual(store.events().map((e) => e._id), ['e1', 'e2', 'e3', 'e4'])
+  assert.equal(await store.sync(), 0)
+  assert.deepEqual(batches, [['e1', 'e2', 'e3'], ['e4']])
+})
+
+test('events the disk failed to store are fetched again by the next sync', async () => {
+  const written = []
+  let failNext = true
+  const disk = {
+    async appendEvents(events) {
+      if (failNext) {
+        failNext = false
+        throw new Error('disk full')
+      }
+      written.push(...events.map((e) => e._id))
+    },
+    async saveCursor() {},
+  }
+  const store = createEventStore({ governanceSc: SC, syncIntervalMs: 0, disk, search: createDumpSearch(hits) })
+  await assert.rejects(store.sync(), /disk full/)
+  assert.equal(store.size(), 0)
+  assert.equal(await store.sync(), 4)
+  assert.deepEqual(written, ['e1', 'e2', 'e3', 'e4'])
+})
+
+test('an Elasticsearch request that never answers is aborted', async () => {
+  const server = http.createServer(() => {})
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+  try {
+    await assert.rejects(searchEs(`http://127.0.0.1:${server.address().port}/_search`, buildSyncQuery(SC), 50), { name: 'TimeoutError' })
+  } finally {
+    server.closeAllConnections()
+    server.close()
+  }
+})
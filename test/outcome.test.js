@@ -0,0 +1,73 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { STATUS, computeOutcome, parsePctBps, pctToBps } from '../src/lib/outcome.js'
+import { parseEgld } from '../src/lib/format.js'
+
+const E = 10n ** 18n
+const tally = (...powers) => {
+  const [yes, no, abstain, veto] = powers.map(BigInt)
+  const byOption = { yes: { power: yes * E }, no: { power: no * E }, abstain: { power: abstain * E }, veto: { power: veto * E } }
+  return { byOption, totalPower: (yes + no + abstain + veto) * E }
+}
+const params = (totalStaked) => ({
+  quorumBps: pctToBps(20),
+  passThresholdBps: pctToBps(50),
+  vetoThresholdBps: pctToBps(33.33),
+  totalStaked: totalStaked == null ? null : BigInt(totalStaked) * E,
+})
+
+test('passing when quorum is met and yes holds the majority of non-abstain power', () => {
+  const r = computeOutcome(tally(60, 30, 100, 10), params(1000))
+  assert.equal(r.participationBps, 2000n)
+  assert.equal(r.yesShareBps, 6000n)
+  assert.equal(r.vetoShareBps, 500n)
+  assert.equal(r.quorumMet, true)
+  assert.equal(r.status, STATUS.PASSING)
+})
+
+test('failing when yes does not exceed the pass threshold', () => {
+  assert.equal(computeOutcome(tally(50, 50, 100, 0), params(1000)).status, STATUS.FAILING)
+})
+
+test('vetoed when veto power reaches the veto threshold, regardless of yes share', () => {
+  const r = computeOutcome(tally(200, 0, 0, 100), params(1000))
+  assert.equal(r.vetoShareBps, 3333n)
+  assert.equal(r.status, STATUS.VETOED)
+})
+
+test('quorum not met takes precedence over everything else', () => {
+  const r = computeOutcome(tally(100, 0, 0, 0), params(1000))
+  assert.equal(r.participationBps, 1000n)
+  assert.equal(r.quorumMet, false)
+  assert.equal(r.status, STATUS.QUORUM_NOT_MET)
+})
+
+test('participation and quorum are unknown without a staked supply', () => {
+  const r = computeOutcome(tally(100, 0, 0, 0), params(null))
+  assert.equal(r.participationBps, null)
+  assert.equal(r.quorumMet, null)
+  assert.equal(r.status, STATUS.PASSING)
+})
+
+test('an empty tally is failing with no shares', () => {
+  const r = computeOutcome(tally(0, 0, 0, 0), params(1000))
+  assert.equal(r.yesShareBps, null)
+  assert.equal(r.vetoShareBps, null)
+  assert.equal(r.status, STATUS.QUORUM_NOT_MET)
+})
+
+test('parseEgld converts decimal EGLD to raw units', () => {
+  assert.equal(parseEgld('1'), E)
+  assert.equal(parseEgld('1,234.5'), 1234n * E + E / 2n)
+  assert.equal(parseEgld('0.000000000000000001'), 1n)
+  assert.equal(parseEgld('abc'), null)
+  assert.equal(parseEgld(''), null)
+})
+
+test('parsePctBps accepts percentages from 0 to 100 and rejects anything else', () => {
+  assert.equal(parsePctBps('50'), 5000n)
+  assert.equal(parsePctBps('33.33'), 3333n)
+  assert.equal(parsePctBps(0), 0n)
+  assert.equal(parsePctBps(100), 10_000n)
+  for (const bad of ['abc', '', ' ', '-1', '100.5', 'Infinity', undefined]) assert.equal(parsePctBps(bad), null, String(bad))
+})
@@ -0,0 +1,80 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { createDiskStore } from '../server/persistence.js'
+import { createDumpSearch } from '../server/offline.js'
+import { createEventStore } from '../server/store.js'
+import { GOVERNANCE } from './fixtures.js'
+
+const SC = GOVERNANCE.bech32
+
+const hit = (id, timestamp) => ({ _id: id, _source: { identifier: 'vote', logAddress: SC, timestamp, txHash: `tx-${id}`, order: 0 } })
+
+const hits = [hit('e1', 100), hit('e2', 200), hit('e3', 200), hit('e4', 300)]
+
+let root
+before(async () => {
+  root = await fs.mkdtemp(path.join(os.tmpdir(), 'governance-disk-'))
+})
+after(() => fs.rm(root, { recursive: true, force: true }))
+
+const dataDir = (name) => path.join(root, name)
+const storeFor = (disk, dump) =>
+  createEventStore({ governanceSc: SC, syncIntervalMs: 0, disk, search: (body) => createDumpSearch(dump)(body) })
+
+test('events and the sync cursor round-trip through the data directory', async () => {
+  const disk = createDiskStore(dataDir('round-trip'))
+  assert.deepEqual(await disk.loadEvents(), [])
+  assert.equal(await disk.loadCursor(), null)
+  assert.equal(await disk.fileSize(), 0)
+
+  await disk.appendEvents(hits.slice(0, 2))
+  await disk.appendEvents([])
+  await disk.appendEvents(hits.slice(2))
+  await disk.saveCursor({ latestTimestamp: 300, lastSyncAt: 1234, count: 4 })
+
+  const reopened = createDiskStore(dataDir('round-trip'))
+  assert.deepEqual(await reopened.loadEvents(), hits)
+  assert.deepEqual(await reopened.loadCursor(), { latestTimestamp: 300, lastSyncAt: 1234, count: 4 })
+  assert.ok((await reopened.fileSize()) > 0)
+})
+
+test('a torn last line and a corrupt cursor are ignored', async () => {
+  const dir = dataDir('torn')
+  const disk = createDiskStore(dir)
+  await disk.appendEvents(hits.slice(0, 2))
+  await fs.appendFile(disk.eventsPath, '{"_id":"e3","_sour')
+  await fs.writeFile(path.join(dir, 'cursor.json'), '{"latestTim')
+  assert.deepEqual((await disk.loadEvents()).map((e) => e._id), ['e1', 'e2'])
+  assert.equal(await disk.loadCursor(), null)
+})
+
+test('a resumed sync neither duplicates nor skips events', async () => {
+  const dir = dataDir('resume')
+  const first = storeFor(createDiskStore(dir), hits.slice(0, 2))
+  assert.equal(await first.sync(), 2)
+
+  // A restart mid-history: e3 shares e2's second and must still be fetched, e2 must not be stored twice
+  const disk = createDiskStore(dir)
+  const resumed = storeFor(disk, hits)
+  assert.equal(await resumed.load(), 2)
+  assert.ok(resumed.lastSyncAt() > 0)
+  assert.equal(await resumed.sync(), 2)
+  assert.deepEqual(resumed.events().map((e) => e._id), ['e1', 'e2', 'e3', 'e4'])
+  assert.deepEqual((await disk.loadEvents()).map((e) => e._id), ['e1', 'e2', 'e3', 'e4'])
+  assert.deepEqual(await disk.loadCursor(), { latestTimestamp: 300, lastSyncAt: resumed.lastSyncAt(), count: 4 })
+})
+
+test('a cursor that does not match the loaded events is not trusted', async () => {
+  const dir = dataDir('mismatch')
+  const disk = createDiskStore(dir)
+  await disk.appendEvents(hits.slice(0, 2))
+  await disk.saveCursor({ latestTimestamp: 300, lastSyncAt: 1234, count: 4 })
+  const store = storeFor(disk, hits)
+  assert.equal(await store.load(), 2)
+  assert.equal(store.lastSyncAt(), 0)
+  assert.equal(await store.sync(), 2)
+  assert.deepEqual(store.events().map((e) => e._id), ['e1', 'e2', 'e3', 'e4'])
+})
@@ -0,0 +1,178 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { createApiServer } from '../server/app.js'
+import { createDumpSearch } from '../server/offline.js'
+import { createEventStore } from '../server/store.js'
+import { createProposalMetadata } from '../server/metadata.js'
+import { ALICE, BOB, GOVERNANCE, XOXNO, delegated, direct } from './fixtures.js'
+
+// Above Number.MAX_SAFE_INTEGER, so it only survives serialization as an exact string
+const BIG = 1_234_567_890_123_456_789_012n
+
+const hits = [
+  direct('e1', 100, 'yes', BIG),
+  delegated('e2', 200, XOXNO, 'no', 4n, { stake: 5n }),
+  direct('e3', 300, 'veto', 7n, { proposal: '02' }),
+]
+
+let server
+let base
+
+before(async () => {
+  const search = createDumpSearch(hits)
+  const store = createEventStore({ governanceSc: GOVERNANCE.bech32, syncIntervalMs: 60_000, search })
+  const registry = { entries: () => ({ [XOXNO]: { name: 'xoxno' } }), version: () => 0, filePath: null }
+  const metadata = createProposalMetadata({ governanceSc: GOVERNANCE.bech32, search, gatewayUrl: '' })
+  server = createApiServer({ store, registry, metadata }).server
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+  base = `http://127.0.0.1:${server.address().port}`
+})
+
+after(() => server.close())
+
+const get = async (path) => {
+  const res = await fetch(`${base}${path}`)
+  const type = res.headers.get('content-type')
+  const text = await res.text()
+  return { status: res.status, type, text, json: type === 'application/json' ? JSON.parse(text) : null }
+}
+
+test('proposals are listed newest first after the first sync', async () => {
+  const { status, json } = await get('/api/proposals')
+  assert.equal(status, 200)
+  assert.deepEqual(json.proposals.map((p) => [p.id, p.votes]), [['2', 1], ['1', 2]])
+  assert.equal(json.stale, false)
+  assert.ok(json.syncedAt > 0)
+})
+
+test('summaries serialize BigInt amounts as exact strings', async () => {
+  const { status, json } = await get('/api/proposals/1/summary')
+  assert.equal(status, 200)
+  assert.equal(json.byOption.yes.power, BIG.toString())
+  assert.equal(json.totalPower, (BIG + 4n).toString())
+  assert.equal(json.at, null)
+})
+
+test('voters and delegators are paged per option and source', async () => {
+  const voters = await get('/api/proposals/1/voters?option=yes')
+  assert.equal(voters.status, 200)
+  assert.deepEqual(voters.json.voters.map((v) => [v.address, v.power]), [[ALICE.bech32, BIG.toString()]])
+  const delegators = await get('/api/proposals/1/delegators?source=xoxno')
+  assert.equal(delegators.status, 200)
+  assert.equal(delegators.json.total, 1)
+  assert.equal(delegators.json.delegators[0].address, BOB.bech32)
+})
+
+test('an address lists its votes across proposals', async () => {
+  const { status, json } = await get(`/api/addresses/${ALICE.bech32}/votes`)
+  assert.equal(status, 200)
+  assert.deepEqual(json.votes.map((v) => [v.proposal, v.option]), [['1', 'yes'], ['2', 'veto']])
+})
+
+test('invalid parameters are answered with 400 and a JSON error', async () => {
+  for (const path of [
+    '/api/proposals/1/summary?view=nope',
+    '/api/proposals/1/summary?at=yesterday',
+    '/api/proposals/1/timeline?bucket=week',
+    '/api/proposals/1/voters?option=maybe',
+    '/api/proposals/1/delegators',
+    '/api/addresses/erd1nope/votes',
+    '/api/addresses/%E0%A4%A/votes',
+    '/api/compare?proposals=1',
+    '/api/cohorts?passThresholdPct=abc',
+  ]) {
+    const { status, json } = await get(path)
+    assert.equal(status, 400, path)
+    assert.equal(typeof json.error, 'string', path)
+  }
+})
+
+test('unknown proposals, sources and routes are answered with 404', async () => {
+  assert.deepEqual(await get('/api/proposals/9/summary').then((r) => [r.status, r.json.error]), [404, 'Unknown proposal 9'])
+  assert.equal((await get('/api/proposals/1/delegators?source=hatom')).status, 404)
+  assert.equal((await get('/api/compare?proposals=1,9')).status, 404)
+  assert.deepEqual(await get('/api/nope').then((r) => [r.status, r.text]), [404, 'Not Found'])
+})
+
+test('the voter export streams a CSV with exact amounts', async () => {
+  const { status, type, text } = await get('/api/proposals/1/export?format=csv')
+  assert.equal(status, 200)
+  assert.equal(type, 'text/csv; charset=utf-8')
+  const lines = text.trimEnd().split(/\r?\n/)
+  assert.equal(lines[0], 'proposal,option,address,votes,stake,stakeEgld,power,powerEgld')
+  assert.equal(lines.length, 3)
+  assert.equal(lines[1], `1,yes,${ALICE.bech32},1,${BIG},1234.567890123456789012,${BIG},1234.567890123456789012`)
+  assert.equal(lines[2], `1,no,${BOB.bech32},1,5,0.000000000000000005,4,0.000000000000000004`)
+
+  const json = await get('/api/proposals/1/export?format=json&option=no')
+  assert.deepEqual(JSON.parse(json.text).map((r) => [r.address, r.power]), [[BOB.bech32, '4']])
+})
+
+test('the voter export rejects unknown formats, options and views', async () => {
+  for (const query of ['format=xml', 'option=maybe', 'view=nope']) {
+    const { status, json } = await get(`/api/proposals/1/export?${query}`)
+    assert.equal(status, 400, query)
+    assert.match(json.error, /^Unknown /)
+  }
+})
+
+test('raw events are paged for external consumers', async () => {
+  const { status, json } = await get('/api/events?offset=1&limit=1')
+  assert.equal(status, 200)
+  assert.equal(json.total, 3)
+  assert.deepEqual(json.events.map((e) => e._id), ['e2'])
+})
+
+// Reads server-sent events off a stream until one called `name` arrives
+const nextEvent = async (stream, name) => {
+  for (;;) {
+    const end = stream.buffer.indexOf('\n\n')
+    if (end >= 0) {
+      const block = stream.buffer.slice(0, end)
+      stream.buffer = stream.buffer.slice(end + 2)
+      const event = block.match(/^event: (.*)$/m)?.[1]
+      if (event === name) return JSON.parse(block.match(/^data: (.*)$/m)[1])
+      continue
+    }
+    const { value, done } = await stream.reader.read()
+    if (done) throw new Error(`Stream ended before a ${name} event`)
+    stream.buffer += stream.decoder.decode(value, { stream: true })
+  }
+}
+
+test('live clients are told about new votes and dropped when they disconnect', async () => {
+  // A server of its own, so the vote added here does not leak into the other tests
+  const chain = hits.slice(0, 2)
+  const search = (body) => createDumpSearch(chain)(body)
+  const store = createEventStore({ governanceSc: GOVERNANCE.bech32, syncIntervalMs: 60_000, search })
+  const registry = { entries: () => ({ [XOXNO]: { name: 'xoxno' } }), version: () => 0, filePath: null }
+  const metadata = createProposalMetadata({ governanceSc: GOVERNANCE.bech32, search, gatewayUrl: '' })
+  const { server: live, poll } = createApiServer({ store, registry, metadata, pollIntervalMs: 5000 })
+  await new Promise((resolve) => live.listen(0, '127.0.0.1', resolve))
+  const origin = `http://127.0.0.1:${live.address().port}`
+  const liveClients = async () => (await (await fetch(`${origin}/api/status`)).json()).liveClients
+
+  try {
+    const controller = new AbortController()
+    const res = await fetch(`${origin}/api/live`, { signal: controller.signal })
+    assert.equal(res.headers.get('content-type'), 'text/event-stream')
+    const stream = { reader: res.body.getReader(), decoder: new TextDecoder(), buffer: '' }
+
+    const hello = await nextEvent(stream, 'hello')
+    assert.equal(hello.pollIntervalMs, 5000)
+    assert.deepEqual(hello.votes.map((v) => v.id), ['e2', 'e1'])
+    assert.equal(await liveClients(), 1)
+
+    chain.push(hits[2])
+    await poll()
+    const { votes } = await nextEvent(stream, 'votes')
+    assert.deepEqual(votes.map((v) => [v.id, v.option, v.power]), [['e3', 'veto', '7']])
+    assert.ok((await nextEvent(stream, 'sync')).syncedAt > 0)
+
+    controller.abort()
+    for (let i = 0; i < 100 && (await liveClients()) > 0; i++) await new Promise((resolve) => setTimeout(resolve, 10))
+    assert.equal(await liveClients(), 0)
+  } finally {
+    live.close()
+  }
+})
@@ -0,0 +1,185 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  aggregateProposal,
+  cohortAnalysis,
+  compareProposals,
+  delegationBySource,
+  discoverDelegationSources,
+  eventsAsOf,
+  indexVotesByVoter,
+  latestVotes,
+  listVoteChanges,
+  proposalConcentration,
+  proposalTimeline,
+  stakePowerAnalysis,
+} from '../server/stats.js'
+import { ALICE, BOB, HATOM, XOXNO, direct, delegated } from './fixtures.js'
+
+const REGISTRY = { [XOXNO]: { name: 'xoxno', logo: 'https://example.com/xoxno.png' }, [HATOM]: { name: 'hatom' } }
+
+// Alice votes yes then no; Bob votes through xoxno twice (abstain, then veto) and once through hatom
+const events = [
+  direct('e1', 100, 'yes', 10n),
+  delegated('e2', 200, XOXNO, 'abstain', 5n),
+  delegated('e3', 300, HATOM, 'yes', 7n),
+  direct('e4', 4000, 'no', 12n),
+  delegated('e5', 4100, XOXNO, 'veto', 6n),
+  direct('e6', 4200, 'yes', 99n, { proposal: '02' }),
+]
+
+test('effective view keeps only the latest vote per voter and delegation source', () => {
+  const s = aggregateProposal(events, '1', { registry: REGISTRY })
+  assert.equal(s.view, 'effective')
+  assert.equal(s.events, 5)
+  assert.equal(s.supersededVotes, 2)
+  assert.equal(s.totalVotes, 3)
+  assert.equal(s.totalPower, 25n)
+  assert.deepEqual(
+    Object.fromEntries(Object.entries(s.byOption).map(([o, x]) => [o, [x.count, x.power]])),
+    { yes: [1, 7n], no: [1, 12n], abstain: [0, 0n], veto: [1, 6n], unknown: [0, 0n] },
+  )
+  assert.deepEqual(s.voters.no, [{ address: ALICE.bech32, stake: 12n, power: 12n, count: 1 }])
+  assert.deepEqual(s.delegation, [
+    { name: 'xoxno', logo: 'https://example.com/xoxno.png', power: 6n, count: 1 },
+    { name: 'hatom', logo: null, power: 7n, count: 1 },
+  ])
+})
+
+test('options are split into direct and delegated votes, and by delegation source', () => {
+  const s = aggregateProposal(events, '1', { view: 'raw', registry: REGISTRY })
+  assert.deepEqual(s.byOption.yes.direct, { count: 1, power: 10n })
+  assert.deepEqual(s.byOption.yes.delegated, { count: 1, power: 7n })
+  assert.deepEqual(s.byOption.yes.bySource, { hatom: { count: 1, power: 7n } })
+  assert.deepEqual(s.byOption.veto.bySource, { xoxno: { count: 1, power: 6n } })
+  assert.deepEqual(s.byOption.no.delegated, { count: 0, power: 0n })
+})
+
+test('raw view counts every vote event', () => {
+  const s = aggregateProposal(events, '1', { view: 'raw' })
+  assert.equal(s.totalVotes, 5)
+  assert.equal(s.totalPower, 40n)
+  assert.equal(s.byOption.yes.power, 17n)
+  assert.equal(s.byOption.abstain.count, 1)
+})
+
+test('eventsAsOf replays the tally up to a timestamp, inclusive', () => {
+  assert.equal(eventsAsOf(events, null), events)
+  assert.deepEqual(eventsAsOf(events, 300).map((e) => e._id), ['e1', 'e2', 'e3'])
+  assert.deepEqual(eventsAsOf(events, 99), [])
+  const s = aggregateProposal(eventsAsOf(events, 4000), '1')
+  assert.equal(s.supersededVotes, 1)
+  assert.deepEqual(
+    Object.fromEntries(Object.entries(s.byOption).map(([o, x]) => [o, x.power])),
+    { yes: 7n, no: 12n, abstain: 5n, veto: 0n, unknown: 0n },
+  )
+})
+
+test('listVoteChanges reports voters that switched options with their history', () => {
+  const changes = listVoteChanges(events, '1', REGISTRY)
+  assert.deepEqual(
+    changes.map((c) => [c.voter, c.sourceLabel, c.from, c.to, c.history.map((h) => h.id)]),
+    [
+      [ALICE.bech32, null, 'yes', 'no', ['e1', 'e4']],
+      [BOB.bech32, 'xoxno', 'abstain', 'veto', ['e2', 'e5']],
+    ],
+  )
+})
+
+test('effective timeline drops replaced votes from the running totals', () => {
+  const effective = proposalTimeline(events, '1', 3600)
+  assert.equal(effective.length, 2)
+  assert.deepEqual(effective[0].counts, { yes: 2, no: 0, abstain: 1, veto: 0, unknown: 0 })
+  assert.deepEqual(effective[1].cumulativePower, { yes: 7n, no: 12n, abstain: 0n, veto: 6n, unknown: 0n })
+  const raw = proposalTimeline(events, '1', 3600, { view: 'raw' })
+  assert.deepEqual(raw[1].cumulativeCounts, { yes: 2, no: 1, abstain: 1, veto: 1, unknown: 0 })
+})
+
+test('indexVotesByVoter flags superseded votes', () => {
+  const alice = indexVotesByVoter(events).get(ALICE.bech32)
+  assert.deepEqual(alice.map((v) => [v.id, v.superseded]), [['e1', true], ['e4', false], ['e6', false]])
+})
+
+test('delegationBySource splits each source by option and lists its delegators', () => {
+  const raw = delegationBySource(events, '1', { view: 'raw', registry: REGISTRY })
+  assert.deepEqual(raw.map((s) => [s.name, s.count, s.power]), [['xoxno', 2, 11n], ['hatom', 1, 7n]])
+  assert.deepEqual(raw[0].contracts, [XOXNO])
+  assert.deepEqual([raw[0].byOption.abstain, raw[0].byOption.veto], [{ count: 1, power: 5n }, { count: 1, power: 6n }])
+  assert.deepEqual(raw[0].delegators, [
+    { address: BOB.bech32, contract: XOXNO, count: 2, stake: 11n, power: 11n, byOption: { yes: 0n, no: 0n, abstain: 5n, veto: 6n, unknown: 0n } },
+  ])
+  const effective = delegationBySource(events, '1', { registry: REGISTRY })
+  assert.deepEqual(effective.map((s) => s.name), ['hatom', 'xoxno'])
+  assert.deepEqual([effective[1].delegators[0].byOption.abstain, effective[1].delegators[0].byOption.veto], [0n, 6n])
+})
+
+test('stakePowerAnalysis compares stake and power weighting and flags off-median ratios', () => {
+  const boosted = direct('e7', 5000, 'yes', 30n, { proposal: '03', stake: 10n })
+  const staked = [direct('e8', 5100, 'no', 20n, { proposal: '03' }), delegated('e9', 5200, XOXNO, 'no', 8n, { proposal: '03' }), boosted]
+  const a = stakePowerAnalysis(staked, '3', { view: 'raw' })
+  assert.deepEqual(a.byOption.yes, { stake: 10n, power: 30n })
+  assert.deepEqual(a.byOption.no, { stake: 28n, power: 28n })
+  assert.equal(a.totalStake, 38n)
+  assert.equal(a.totalPower, 58n)
+  assert.deepEqual([a.minRatioBps, a.medianRatioBps, a.maxRatioBps], [10_000n, 10_000n, 30_000n])
+  assert.deepEqual(a.anomalies.map((v) => [v.address, v.ratioBps]), [[ALICE.bech32, 30_000n]])
+  assert.deepEqual(a.points.map((v) => v.stake), [20n, 10n, 8n])
+})
+
+test('unlabeled delegation contracts fall into "others" and are listed by discovery', () => {
+  const partial = { [XOXNO]: REGISTRY[XOXNO] }
+  assert.deepEqual(aggregateProposal(events, '1', { registry: partial }).delegation.map((d) => d.name), ['xoxno', 'others'])
+  assert.deepEqual(discoverDelegationSources(events, partial), [
+    { address: HATOM, label: null, logo: null, votes: 1, power: 7n, proposals: 1 },
+    { address: XOXNO, label: 'xoxno', logo: 'https://example.com/xoxno.png', votes: 1, power: 6n, proposals: 1 },
+  ])
+})
+
+test('latestVotes returns the newest votes first with source labels', () => {
+  const votes = latestVotes([...events, { _id: 'junk', _source: { identifier: 'proposal' } }], 3, REGISTRY)
+  assert.deepEqual(votes.map((v) => [v.id, v.sourceLabel]), [['e6', null], ['e5', 'xoxno'], ['e4', null]])
+})
+
+test('proposalConcentration sums a voter across options for the overall metrics', () => {
+  // raw view: Alice 10 (yes) + 12 (no); Bob 7 (yes), 5 (abstain), 6 (veto)
+  const c = proposalConcentration(events, '1', { view: 'raw' })
+  assert.equal(c.overall.voters, 2)
+  assert.equal(c.overall.totalPower, 40n)
+  assert.equal(c.overall.nakamoto, 1)
+  assert.equal(c.byOption.yes.voters, 2)
+  assert.equal(c.byOption.yes.top10ShareBps, 10_000n)
+  assert.equal(c.byOption.no.hhi, 10_000n)
+  assert.equal(c.byOption.unknown.voters, 0)
+})
+
+test('compareProposals reports totals per proposal and voters whose choice differs', () => {
+  const more = [...events, delegated('e7', 4300, HATOM, 'no', 3n, { proposal: '02' })]
+  const c = compareProposals(more, ['1', '2'])
+  assert.deepEqual(
+    c.proposals.map((p) => [p.id, p.totalPower, p.uniqueVoters, p.directPower, p.delegatedPower]),
+    [['1', 25n, 2, 12n, 13n], ['2', 102n, 2, 99n, 3n]],
+  )
+  assert.equal(c.proposals[0].byOption.no.power, 12n)
+  // Alice: no → yes; Bob: yes (7 via hatom outweighs 6 veto via xoxno) → no
+  assert.equal(c.divergentVoters, 2)
+  assert.deepEqual(c.divergent.map((d) => [d.address, d.options]), [
+    [ALICE.bech32, { 1: 'no', 2: 'yes' }],
+    [BOB.bech32, { 1: 'yes', 2: 'no' }],
+  ])
+})
+
+test('cohortAnalysis tracks first-time voters, retention and alignment with the outcome', () => {
+  // Proposal 1 (effective): Alice no 12, Bob yes 7 via hatom + veto 6 via xoxno → veto share 24%,
+  // yes share 28% → failing, so "no" wins. Proposal 2: Alice yes → passing. Proposal 3: Alice no → failing.
+  const more = [...events, direct('e7', 5000, 'no', 1n, { proposal: '03' })]
+  const c = cohortAnalysis(more, { passThresholdBps: 5000n, vetoThresholdBps: 3333n })
+  assert.deepEqual(
+    c.proposals.map((p) => [p.id, p.voters, p.firstTime, p.returning, p.retentionBps, p.winningOption]),
+    [['1', 2, 2, 0, null, 'no'], ['2', 1, 0, 1, 5000n, 'yes'], ['3', 1, 0, 1, 10_000n, 'no']],
+  )
+  assert.equal(c.totalVoters, 2)
+  assert.deepEqual(c.distribution, [{ proposals: 1, voters: 1 }, { proposals: 3, voters: 1 }])
+  assert.deepEqual(c.loyal.map((v) => [v.address, v.proposals, v.alignedWith, v.latestPower]), [[ALICE.bech32, 3, 3, 1n], [BOB.bech32, 1, 0, 13n]])
+  assert.equal(c.alignedVoters, 1)
+  assert.equal(c.aligned[0].address, ALICE.bech32)
+})